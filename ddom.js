@@ -14,7 +14,7 @@
  *		Safari 11
  */
 
-/*global HTMLCollection,Node,CustomEvent,NodeList */
+/*global define,module */
 //noinspection JSUnusedGlobalSymbols
 
 'use strict'; // jshint ignore:line
@@ -41,24 +41,161 @@
  * }|Event} DDomEvent
  */
 
+/**
+ * @typedef {{
+ *		capture: (boolean|undefined),
+ *		once: (boolean|undefined),
+ *		passive: (boolean|undefined),
+ *		signal: (AbortSignal|undefined),
+ *		debounce: (number|undefined),
+ *		throttle: (number|undefined),
+ *		frame: (boolean|undefined)
+ * }} DDomListenerOptions
+ */
+
 /**
  * DDom HTML helper
+ * Exported as AMD module, CommonJS module or when neither is available as window.$DDom and window.$DDomFragment
  */
-(function(/*Window*/window) {
+(function(root, factory) {
+	if (typeof define === "function" && define.amd) {
+		define([], function() {
+			return factory(root);
+		});
+
+	} else if (typeof module === "object" && module.exports) {
+		module.exports = factory(root);
+
+	} else {
+		const exported = factory(root);
+
+		root.$DDom = exported.$DDom;
+		root.$DDomFragment = exported.$DDomFragment;
+	}
+}((typeof window !== "undefined") ? window : undefined, function(/*Window|undefined*/window) {
 	/**
 	 * @type {WeakMap<HTMLElement, Set<{
 	 *			event: string,
+	 *			namespaces: Array<string>,
+	 *			selector: (string|null),
+	 *			delegated: boolean,
 	 *			callback: function,
 	 *			binder: function,
 	 *			once: boolean,
-	 *			capture: boolean
+	 *			capture: boolean,
+	 *			passive: boolean,
+	 *			options: Object,
+	 *			signal: (AbortSignal|null),
+	 *			abort: (function|undefined),
+	 *			cancel: (function|undefined)
 	 *		}>
 	 *	>}
 	 */
-	const handlerCache = new window.WeakMap();
+	const handlerCache = new WeakMap();
+
+	/**
+	 * Get document used for creating new nodes
+	 * Resolved on every call so library can be loaded before DOM globals exist eg. under jsdom
+	 * @private
+	 * @returns {Document}
+	 */
+	function getDocument() {
+		return (window !== undefined && window.document !== undefined) ? window.document : document;
+	}
+
+	/**
+	 * Get window that owns given node, window or document
+	 * @private
+	 * @param {Node|Window} node
+	 * @returns {Window}
+	 */
+	function getView(node) {
+		const doc = (node.nodeType === 9) ? node : (node.ownerDocument || node.document);
+
+		return (doc && doc.defaultView) ? doc.defaultView : getDocument().defaultView;
+	}
+
+	/**
+	 * Check if given object is NodeList or HTMLCollection
+	 * Duck typed because instanceof fails for collections that come from another window or realm
+	 * @private
+	 * @param {*} element
+	 * @returns {boolean}
+	 */
+	function isNodeCollection(element) {
+		return typeof element.length === "number" && typeof element.item === "function" && element.nodeType === undefined;
+	}
+
+	/**
+	 * Check if string is HTML markup instead of tag name
+	 * @private
+	 * @param {string} string
+	 * @returns {boolean}
+	 */
+	function isMarkup(string) {
+		return /^\s*</.test(string) && string.indexOf(">") !== -1;
+	}
+
+	/**
+	 * Parse HTML markup to detached top level nodes
+	 * Template element parses table parts like <tr> without wrapping table and its inert content does not run
+	 * scripts, which stay inert also after nodes are adopted to document
+	 * Whitespace only text nodes and comments between top level elements are left out
+	 * @private
+	 * @param {string} markup
+	 * @returns {Array<Node>}
+	 */
+	function parseMarkup(markup) {
+		return getTopLevelNodes(parseTemplate(markup));
+	}
+
+	/**
+	 * Parse markup with template element and move result to document fragment
+	 * Nodes are moved instead of cloned because cloned scripts would run when they are inserted
+	 * @private
+	 * @param {string} markup
+	 * @returns {DocumentFragment}
+	 */
+	function parseTemplate(markup) {
+		const template = getDocument().createElement("template");
+
+		template.innerHTML = toTrustedHTML(markup);
+
+		return moveTemplateContent(template);
+	}
+
+	/**
+	 * Move template content nodes to document fragment
+	 * @private
+	 * @param {HTMLTemplateElement} template
+	 * @returns {DocumentFragment}
+	 */
+	function moveTemplateContent(template) {
+		const doc = getDocument();
+		const fragment = doc.createDocumentFragment();
+
+		while (template.content.firstChild !== null) {
+			fragment.appendChild(doc.adoptNode(template.content.firstChild));
+		}
+
+		return fragment;
+	}
+
+	/**
+	 * Detach top level elements and non whitespace text nodes from fragment
+	 * @private
+	 * @param {DocumentFragment} fragment
+	 * @returns {Array<Node>}
+	 */
+	function getTopLevelNodes(fragment) {
+		return Array.from(fragment.childNodes)
+				.filter((node) => node.nodeType === 1 || (node.nodeType === 3 && node.nodeValue.trim() !== ""))
+				.map((node) => fragment.removeChild(node));
+	}
 
 	/**
 	 * DDom constructor
+	 * String is HTML markup when it starts with "<" eg. '<li class="x">A</li>' and otherwise tag name
 	 * @constructor
 	 * @param {(string|Element|HTMLElement|Node|NodeList|HTMLCollection|DDom|DocumentFragment|Window)} [element]
 	 * @param {Object} [options]
@@ -66,7 +203,10 @@
 	 */
 	function DDom(element, options) {
 		if (element !== undefined && element !== null && element !== "") {
-			if (typeof element === "string") {
+			if (typeof element === "string" && isMarkup(element)) {
+				this.push(parseMarkup(element));
+
+			} else if (typeof element === "string") {
 				this.length++;
 				this[0] = this.ce(element, options);
 
@@ -78,12 +218,12 @@
 				return element;
 			}
 
-			if (element instanceof HTMLCollection || element instanceof NodeList) {
+			if (isNodeCollection(element)) {
 				let length = this.length = element.length;
 				for (let x = 0; x < length; x += 1) {
 					this[x] = element[x];
 				}
-			} else if (element === window) {
+			} else if (element.window === element) {
 				this.length++;
 				this[0] = element;
 			}
@@ -93,1574 +233,5826 @@
 	}
 
 	/**
-	 * @param {HTMLElement} element
+	 * Split event type to event name and sorted namespaces eg. "click.menu.main"
+	 * @private
 	 * @param {string} type
+	 * @returns {{event: string, namespaces: Array<string>}}
+	 */
+	function parseEventType(type) {
+		const parts = type.split(".");
+
+		return {
+			event: parts[0],
+			namespaces: parts.slice(1).filter((namespace) => namespace !== "").sort()
+		};
+	}
+
+	/**
+	 * Check that all required namespaces are found from handler namespaces
+	 * @private
+	 * @param {Array<string>} handlerNamespaces
+	 * @param {Array<string>|undefined} required
+	 * @returns {boolean}
+	 */
+	function matchesNamespaces(handlerNamespaces, required) {
+		return required === undefined || required.every((namespace) => handlerNamespaces.indexOf(namespace) !== -1);
+	}
+
+	/**
+	 * Event constructors that trigger can create
+	 * @type {Array<string>}
+	 */
+	const triggerEventTypes = ["Event", "CustomEvent", "MouseEvent", "PointerEvent", "KeyboardEvent", "FocusEvent",
+		"InputEvent", "WheelEvent"];
+
+	/**
+	 * Error policy and logger settings - changed with $DDom.config
+	 * @type {{
+	 *		onError: (function(Error, Event, (HTMLElement|Window), (string|null))|null),
+	 *		rethrow: boolean,
+	 *		preventOnError: boolean,
+	 *		logLevel: string,
+	 *		logger: function(string, string),
+	 *		releaseOnRemove: boolean,
+	 *		sanitizeHtml: boolean,
+	 *		trustedTypes: (string|null),
+	 *		sanitizer: {tags: Array<string>, attributes: Array<string>, urlSchemes: Array<string>},
+	 *		gestures: {
+	 *			tapDistance: number,
+	 *			tapTime: number,
+	 *			longPressTime: number,
+	 *			swipeDistance: number,
+	 *			swipeVelocity: number,
+	 *			swipeTime: number,
+	 *			panDistance: number,
+	 *			touchAction: (string|null)
+	 *		}
+	 * }}
+	 */
+	const settings = {
+		onError: null,
+		rethrow: false,
+		preventOnError: true,
+		logLevel: "warn",
+		logger: function(level, message) {
+			console[level](`DDom: ${message}`);
+		},
+		releaseOnRemove: false,
+		sanitizeHtml: false,
+		trustedTypes: null,
+		// Attribute names ending with * are prefixes eg. "data-*"
+		sanitizer: {
+			tags: ["a", "abbr", "b", "blockquote", "br", "caption", "code", "dd", "del", "div", "dl", "dt", "em",
+				"figcaption", "figure", "h1", "h2", "h3", "h4", "h5", "h6", "hr", "i", "img", "ins", "kbd", "li",
+				"mark", "ol", "p", "pre", "q", "s", "small", "span", "strong", "sub", "sup", "table", "tbody", "td",
+				"tfoot", "th", "thead", "tr", "u", "ul"],
+			attributes: ["class", "title", "lang", "dir", "role", "alt", "href", "src", "width", "height", "colspan",
+				"rowspan", "target", "rel", "aria-*", "data-*"],
+			urlSchemes: ["http", "https", "mailto", "tel"]
+		},
+		// Distances in pixels, times in milliseconds and velocity in pixels per millisecond
+		// touchAction is set to elements with gesture handlers so browser doesn't scroll or zoom instead of sending
+		// pointer events - "pan-y" keeps vertical scrolling for horizontal swipes and null leaves touch-action as is
+		gestures: {
+			tapDistance: 10,
+			tapTime: 300,
+			longPressTime: 500,
+			swipeDistance: 30,
+			swipeVelocity: 0.3,
+			swipeTime: 500,
+			panDistance: 5,
+			touchAction: "none"
+		}
+	};
+
+	/**
+	 * Log levels from most verbose to silent
+	 * @type {Array<string>}
+	 */
+	const logLevels = ["debug", "info", "warn", "error", "silent"];
+
+	/**
+	 * Write message to configured logger if level is not filtered out
+	 * @private
+	 * @param {string} level debug|info|warn|error
+	 * @param {string} message
+	 */
+	function log(level, message) {
+		if (logLevels.indexOf(level) >= logLevels.indexOf(settings.logLevel)) {
+			settings.logger(level, message);
+		}
+	}
+
+	/**
+	 * Log handler error and pass it to configured onError hook
+	 * @private
+	 * @param {string} label prefix for log messages
+	 * @param {Error} error
+	 * @param {Event|{topic: string, data: *}} event DOM event or bus message
+	 * @param {HTMLElement|Window|null} element
+	 * @param {string|null} selector delegation selector or bus topic pattern
+	 */
+	function reportHandlerError(label, error, event, element, selector) {
+		log("error", `${label} [${error.name}: ${error.message}]` + ((selector !== null) ? ` [Element: ${selector}]` : ""));
+		log("error", `${label} [Stack: ${error.stack}]`);
+
+		if (typeof settings.onError === "function") {
+			settings.onError(error, event, element, selector);
+		}
+	}
+
+	/**
+	 * Call event handler callback and handle errors by configured error policy
+	 * @private
+	 * @param {string} label prefix for log messages
 	 * @param {function} callback
+	 * @param {HTMLElement|Window} context
 	 * @param {Event} event
+	 * @param {DDom|DDomEventElements} elements
+	 * @param {HTMLElement|Window} element element that listener was bind to
+	 * @param {string|null} selector delegation selector
 	 */
-	function createEventBind(element, type, callback, event) {
+	function runHandler(label, callback, context, event, elements, element, selector) {
 		try {
-			if (callback.call(element, event, new DDom(event.target)) === false) {
+			if (callback.call(context, event, elements) === false) {
 				event.preventDefault();
 				event.stopPropagation();
 			}
 		} catch(/*DOMException*/e) {
-			// $DDom.ce customEvent error is bit different
-			if (event instanceof CustomEvent) {
-				DDom.prototype.consoleError(`eventBind [DDom.ce:${event.eventName}] [${e.name}:${e.message}]`);
-			} else {
-				DDom.prototype.consoleError(`eventBind [${type}] - ${e.name}:${e.message}`);
+			reportHandlerError(label, e, event, element, selector);
+
+			if (settings.preventOnError) {
+				event.preventDefault();
+				event.stopPropagation();
 			}
 
-			DDom.prototype.consoleError(e.stack);
-			event.preventDefault();
-			event.stopPropagation();
+			if (settings.rethrow) {
+				throw e;
+			}
 		}
+	}
 
-		const handlers = handlerCache.get(element);
-		for (let handler of handlers) {
-			if (handler.callback === callback && handler.once) {
-				element.removeEventListener(handler.event, handler.binder, handler.capture);
+	/**
+	 * @param {HTMLElement} element
+	 * @param {{event: string, namespaces: Array<string>, callback: function, once: boolean}} handle
+	 * @param {Event} event
+	 */
+	function createEventBind(element, handle, event) {
+		// Namespaced trigger only reaches handlers that have all of the namespaces
+		if (!matchesNamespaces(handle.namespaces, event.namespaces)) {
+			return;
+		}
 
-				// Clear handler from handler and remove whole WeakMap reference if there are no more events
-				handlers.delete(handler);
-				if (handlers.size === 0) {
-					handlerCache.delete(element);
-				}
-			}
+		// Once handler is cleared before callback like native once listener so rethrown error can't skip it
+		if (handle.once) {
+			removeEventHandle(element, handle);
 		}
+
+		// $DDom.ce customEvent error is bit different
+		const label = (event.eventName !== undefined) ? `eventBind [DDom.ce:${event.eventName}]` : `eventBind [${handle.event}]`;
+
+		runHandler(label, handle.callback, element, event, new DDom(event.target), element, null);
 	}
 
 	/**
-	 * Handle event binding and setting to cache for removal of events
+	 * Normalize useCapture parameter that can also be addEventListener like options object
 	 * @private
-	 * @param {HTMLElement} element
-	 * @param {{
-	 *		event: string,
-	 *		callback: Function,
-	 *		binder: function,
+	 * @param {boolean|DDomListenerOptions} [options]
+	 * @returns {{
+	 *		capture: boolean,
 	 *		once: boolean,
-	 *		capture: boolean
-	 * }} handle
+	 *		passive: boolean,
+	 *		signal: (AbortSignal|null),
+	 *		debounce: number,
+	 *		throttle: number,
+	 *		frame: boolean
+	 * }}
 	 */
-	function handleEventBinding(element, handle) {
-		element.addEventListener(handle.event, handle.binder, {capture: handle.capture, once: handle.once});
-
-		if (handlerCache.has(element)) {
-			handlerCache.get(element).add(handle);
-		} else {
-			handlerCache.set(element, new Set([handle]));
+	function getListenerOptions(options) {
+		if (options !== null && typeof options === "object") {
+			return {
+				capture: options.capture === true,
+				once: options.once === true,
+				passive: options.passive === true,
+				signal: options.signal || null,
+				debounce: Number(options.debounce) || 0,
+				throttle: Number(options.throttle) || 0,
+				frame: options.frame === true
+			};
 		}
+
+		return {capture: options === true, once: false, passive: false, signal: null, debounce: 0, throttle: 0, frame: false};
 	}
 
 	/**
-	 * Handle on bind events
-	 * @param {DDom} element
-	 * @param {DDom|HTMLElement} delegateTarget
-	 * @param {boolean} hasElements
-	 * @param {string} data
-	 * @param {function(Event, DDomEventElements)} callback
-	 * @param {Event} event
+	 * Wrap listener with debounce, throttle or animation frame limiting when requested in options
+	 * Pending calls are cancelled with handle.cancel when listener is removed
+	 * @private
+	 * @param {HTMLElement|Window} element
+	 * @param {{cancel: (function|undefined)}} handle
+	 * @param {{debounce: number, throttle: number, frame: boolean}} options
+	 * @param {function(Event)} binder
+	 * @returns {function(Event)}
 	 */
-	function createOnBinding(element, delegateTarget, hasElements, data, callback, event) {
-		/**
-		 * @type {HTMLElement}
-		 */
-		const clicked = /**@type {HTMLElement}*/(event.target);
+	function limitBinder(element, handle, options, binder) {
+		let timer = null;
 
-		const elements = {
-			target: new DDom(event.target),
-			delegateTarget: new DDom(delegateTarget)
-		};
+		if (options.debounce > 0) {
+			handle.cancel = () => clearTimeout(timer);
 
-		if (hasElements) {
-			// Check that matches function is found from element and do matching - document does not have
-			if (clicked.matches && clicked.matches(data)) {
-				try {
-					if (callback.call(clicked, event, elements) === false) {
-						event.preventDefault();
-						event.stopPropagation();
-					}
-				} catch(/*DOMException*/e1) {
-					//noinspection JSUnresolvedFunction
-					element.consoleError(`on[1] [${e1.name}: ${e1.message}] [Element: ${data}]`);
-					element.consoleError(`on[1] [Stack: ${e1.stack}]`);
+			return function(event) {
+				clearTimeout(timer);
+				timer = setTimeout(binder, options.debounce, event);
+			};
+		}
 
-					event.preventDefault();
-					event.stopPropagation();
-				}
-			} else {
-				elements.target = elements.target.closest(data, delegateTarget);
+		if (options.throttle > 0) {
+			let lastCall = 0;
+			let pending = null;
 
-				if (elements.target.length > 0) {
-					try {
-						if (callback.call(elements.target[0], event, elements) === false) {
-							event.preventDefault();
-							event.stopPropagation();
-						}
-					} catch(/*DOMException*/e2) {
-						//noinspection JSUnresolvedFunction
-						element.consoleError(`on[2] [${e2.name}: ${e2.message}] [Element: ${data}]`);
-						element.consoleError(`on[2] [Stack: ${e2.stack}]`);
-						event.preventDefault();
-						event.stopPropagation();
-					}
+			handle.cancel = () => clearTimeout(timer);
+
+			// First event runs immediately and last event of throttle window runs when window ends
+			return function(event) {
+				const remaining = options.throttle - (Date.now() - lastCall);
+
+				pending = event;
+
+				if (remaining <= 0) {
+					clearTimeout(timer);
+					timer = null;
+					lastCall = Date.now();
+					binder(event);
+
+				} else if (timer === null) {
+					timer = setTimeout(() => {
+						timer = null;
+						lastCall = Date.now();
+						binder(pending);
+					}, remaining);
 				}
-			}
+			};
+		}
 
-		} else {
-			try {
-				if (callback.call(event.target, event, elements) === false) {
-					event.preventDefault();
-					event.stopPropagation();
+		if (options.frame) {
+			const view = getView(element);
+			const request = (typeof view.requestAnimationFrame === "function") ?
+					view.requestAnimationFrame.bind(view) : (callback) => setTimeout(callback, 16);
+			const cancel = (typeof view.cancelAnimationFrame === "function") ?
+					view.cancelAnimationFrame.bind(view) : clearTimeout;
+			let pending = null;
+
+			handle.cancel = () => cancel(timer);
+
+			// Only latest event of each frame is handled
+			return function(event) {
+				if (pending === null) {
+					timer = request(() => {
+						const frameEvent = pending;
+
+						pending = null;
+						binder(frameEvent);
+					});
 				}
-			} catch(/*DOMException*/e3) {
-				//noinspection JSUnresolvedFunction
-				element.consoleError(`on[3] [${e3.name}: ${e3.message}] [Element: ${data}]`);
-				element.consoleError(`on[3] [Stack: ${e3.stack}]`);
 
-				event.preventDefault();
-				event.stopPropagation();
-			}
+				pending = event;
+			};
 		}
+
+		return binder;
 	}
 
 	/**
-	 * DDom prototype
+	 * Remove event listener and clear it from handler cache
+	 * @private
+	 * @param {HTMLElement} element
+	 * @param {{event: string, binder: function, capture: boolean, signal: (AbortSignal|null), abort: (function|undefined)}} handle
 	 */
-	DDom.prototype = /**@lends {DDom.prototype}*/{
-		version: 0.3,
-		isDDom: true,
-		length: 0,
-		slice: Array.prototype.slice,
-		splice: Array.prototype.splice,
+	function removeEventHandle(element, handle) {
+		const handlers = handlerCache.get(element);
 
-		/**
-		 * Write error
-		 * @param {string} message
-		 */
-		consoleError: function(message) {
-			console.error(`DDom: ${message}`);
-		},
+		element.removeEventListener(handle.event, handle.binder, handle.capture);
 
-		/**
-		 * Push new elements to this object
-		 * @param {HTMLElement|NodeList|HTMLCollection|Node|DDom|Array<Node>} elements
-		 */
-		push: function(elements) {
-			if (elements.isDDom) {
-				elements = elements.getAll();
-			}
+		if (gestureEvents.indexOf(handle.event) !== -1 && handlers !== undefined && handlers.has(handle)) {
+			updateGestureRecognizer(element, -1);
+		}
 
-			if (Array.isArray(elements) || elements instanceof HTMLCollection) {
-				for(let x = 0; x < elements.length; x++) {
-					this[this.length++] = elements[x];
+		if (handle.cancel !== undefined) {
+			handle.cancel();
+		}
+
+		if (handle.signal !== null && handle.abort !== undefined) {
+			handle.signal.removeEventListener("abort", handle.abort);
+		}
+
+		// Hotkey registry must not keep elements alive after their listener is gone
+		if (handle.event === "keydown" && handle.namespaces.indexOf("hotkey") !== -1) {
+			for (const binding of hotkeyBindings) {
+				if (binding.element === element && binding.listener === handle.callback) {
+					hotkeyBindings.delete(binding);
 				}
+			}
+		}
 
-			} else {
-				this[this.length++] = elements;
+		// Clear handler from handler and remove whole WeakMap reference if there are no more events
+		if (handlers !== undefined) {
+			handlers.delete(handle);
+			if (handlers.size === 0) {
+				handlerCache.delete(element);
 			}
-		},
+		}
+	}
 
-		/**
-		 * Get Node of this object
-		 * @param {number} [index]
-		 * @returns {HTMLElement|HTMLInputElement|DocumentFragment|HTMLFormElement|undefined}
-		 */
-		get: function(index) {
-			return this[index || 0];
-		},
+	/**
+	 * Gesture events synthesized from pointer events
+	 * @type {Array<string>}
+	 */
+	const gestureEvents = ["tap", "longpress", "swipeleft", "swiperight", "swipeup", "swipedown",
+		"panstart", "panmove", "panend"];
 
-		/**
-		 * Get new DDom object of given index element
-		 * -1 takes last element of set
-		 * @param {number} [index]
-		 * @returns {DDom}
-		 */
-		eq: function(index) {
-			return (index === -1) ? new DDom(this[this.length - 1]) : new DDom(this[index || 0]);
-		},
+	/**
+	 * Gesture recognizers of elements and count of gesture handlers that use them
+	 * @type {WeakMap<HTMLElement, {count: number, teardown: function}>}
+	 */
+	const gestureRecognizers = new WeakMap();
 
-		/**
-		 * Get all current elements as document fragment
-		 * @param {boolean} [clone=false]
-		 * @returns {DocumentFragment}
-		 */
-		getFragment: function(clone) {
-			const frag = document.createDocumentFragment();
+	/**
+	 * Create gesture event detail from pointer start and current pointer event
+	 * @private
+	 * @param {{x: number, y: number, time: number}} start
+	 * @param {PointerEvent} event
+	 * @returns {Object}
+	 */
+	function createGestureDetail(start, event) {
+		const deltaX = event.clientX - start.x;
+		const deltaY = event.clientY - start.y;
+		const duration = Math.max(Date.now() - start.time, 1);
 
-			if (clone === true) {
-				for (const element of this) {
-					frag.appendChild(element.cloneNode(true));
-				}
+		return {
+			pointerType: event.pointerType,
+			startX: start.x,
+			startY: start.y,
+			x: event.clientX,
+			y: event.clientY,
+			deltaX: deltaX,
+			deltaY: deltaY,
+			distance: Math.sqrt(deltaX * deltaX + deltaY * deltaY),
+			duration: duration,
+			velocityX: deltaX / duration,
+			velocityY: deltaY / duration,
+			velocity: Math.sqrt(deltaX * deltaX + deltaY * deltaY) / duration,
+			originalEvent: event
+		};
+	}
 
-			} else {
-				for (const element of this) {
-					frag.appendChild(element);
-				}
+	/**
+	 * Dispatch bubbling gesture event to element where pointer went down
+	 * @private
+	 * @param {HTMLElement} target
+	 * @param {string} type
+	 * @param {Object} detail
+	 */
+	function dispatchGesture(target, type, detail) {
+		const view = getView(target);
+
+		target.dispatchEvent(new view.CustomEvent(type, {bubbles: true, cancelable: true, detail: detail}));
+	}
+
+	/**
+	 * Install pointer listeners that recognize gestures on element
+	 * Pointer move and up are followed from document so gesture continues when pointer leaves the element
+	 * Configured touch-action is set to element unless it has inline touch-action already and removed on teardown
+	 * @private
+	 * @param {HTMLElement|Document} element
+	 * @returns {function} teardown function
+	 */
+	function createGestureRecognizer(element) {
+		const doc = (element.nodeType === 9) ? element : (element.ownerDocument || getDocument());
+		let start = null;
+		let timer = null;
+
+		const stop = function() {
+			clearTimeout(timer);
+			doc.removeEventListener("pointermove", move, true);
+			doc.removeEventListener("pointerup", up, true);
+			doc.removeEventListener("pointercancel", cancel, true);
+			start = null;
+		};
+
+		const move = function(event) {
+			if (start === null || event.pointerId !== start.pointerId) {
+				return;
 			}
 
-			return frag;
-		},
+			const detail = createGestureDetail(start, event);
 
-		/**
-		 * Get all nodes of this object
-		 * Return value is really just and array but is masked to NodeList for better doc handling and has all
-		 * the methods that exists in arrays too
-		 * @returns {Array<Node>}
-		 */
-		getAll: function() {
-			return this.slice(0);
-		},
+			if (detail.distance > settings.gestures.tapDistance) {
+				clearTimeout(timer);
+			}
 
-		/**
-		 * Get CSS style value
-		 * @param {string} key
-		 * @return {string|boolean}
-		 */
-		getCSS: function(key) {
-			return (this.length !== 0) ? this[0].style[key] : false;
-		},
+			if (!start.panning && detail.distance > settings.gestures.panDistance) {
+				start.panning = true;
+				dispatchGesture(start.target, "panstart", detail);
 
-		/**
-		 * Click event binding to element
-		 * @param {string} type
-		 * @param {Function} callback
-		 * @param {boolean} [useCapture=false]
-		 * @param {boolean} [once=false]
-		 * @return {DDom}
-		 */
-		eventBind: function(type, callback, useCapture, once) {
-			for (let element of this) {
-				const handle = {
-					event: type,
-					once: once === true,
-					capture: useCapture === true,
-					callback: callback,
-					binder: createEventBind.bind(null, element, type, callback)
-				};
+			} else if (start.panning) {
+				dispatchGesture(start.target, "panmove", detail);
+			}
+		};
 
-				handleEventBinding(element, handle);
+		const up = function(event) {
+			if (start === null || event.pointerId !== start.pointerId) {
+				return;
 			}
 
-			return this;
-		},
+			const current = start;
+			const detail = createGestureDetail(current, event);
+			const gestures = settings.gestures;
 
-		/**
-		 * Click event binding to element
-		 * @param {Function} callback
-		 * @param {boolean} [useCapture]
-		 * @return {DDom}
-		 */
-		eventClick: function(callback, useCapture) {
-			return this.eventBind('click', callback, useCapture);
-		},
+			stop();
 
-		/**
-		 * Trigger given event with callback once and then destroy listener
-		 * @param {string} type
-		 * @param {Function} callback
-		 * @param {boolean} [useCapture]
-		 * @return {DDom}
-		 */
-		eventOnce: function(type, callback, useCapture) {
-			return this.eventBind(type, callback, useCapture, true);
-		},
+			if (current.panning) {
+				dispatchGesture(current.target, "panend", detail);
+			}
 
-		/**
-		 * Bind event listener
-		 * @param {(string|Array)} events
-		 * @param {(string|Array|Function)} data
-		 * @param {function(Event, DDomEventElements)} [callback]
-		 * @param {boolean} [useCapture]
-		 * @return {DDom}
-		 */
-		on: function(events, data, callback, useCapture) {
-			let hasElements = false;
+			if (detail.distance >= gestures.swipeDistance && detail.velocity >= gestures.swipeVelocity &&
+					detail.duration <= gestures.swipeTime) {
+				const direction = (Math.abs(detail.deltaX) >= Math.abs(detail.deltaY)) ?
+						((detail.deltaX < 0) ? "left" : "right") : ((detail.deltaY < 0) ? "up" : "down");
 
-			if (this.length === 0) {
-				this.consoleError(`Event::on - No elements bind [Events: ${JSON.stringify(events)}] [Data: ${JSON.stringify(data)}]`);
-				return null;
+				dispatchGesture(current.target, `swipe${direction}`, detail);
+
+			} else if (!current.longPressed && detail.distance <= gestures.tapDistance && detail.duration <= gestures.tapTime) {
+				dispatchGesture(current.target, "tap", detail);
+			}
+		};
+
+		const cancel = function(event) {
+			if (start !== null && event.pointerId === start.pointerId) {
+				const current = start;
+
+				stop();
+
+				if (current.panning) {
+					const detail = createGestureDetail(current, event);
+
+					detail.cancelled = true;
+					dispatchGesture(current.target, "panend", detail);
+				}
 			}
+		};
 
-			if (this.length > 1) {
-				this.consoleError(`Event::on - Multiple elements bind [Events: ${JSON.stringify(events)}] [Data: ${JSON.stringify(data)}]`);
-				return null;
+		const down = function(event) {
+			// Innermost recognizer handles pointer so nested recognizers don't dispatch same gesture twice
+			if (event.ddomGesture || !event.isPrimary || event.button > 0) {
+				return;
 			}
 
-			if (typeof data === "function") {
-				callback = data;
+			event.ddomGesture = true;
 
-			} else {
-				hasElements = true;
+			stop();
+
+			start = {
+				pointerId: event.pointerId,
+				target: event.target,
+				x: event.clientX,
+				y: event.clientY,
+				time: Date.now(),
+				panning: false,
+				longPressed: false
+			};
+
+			timer = setTimeout(() => {
+				start.longPressed = true;
+				dispatchGesture(start.target, "longpress", createGestureDetail(start, event));
+			}, settings.gestures.longPressTime);
+
+			doc.addEventListener("pointermove", move, true);
+			doc.addEventListener("pointerup", up, true);
+			doc.addEventListener("pointercancel", cancel, true);
+		};
+
+		const touchAction = settings.gestures.touchAction;
+		const setsTouchAction = Boolean(touchAction) && element.style !== undefined &&
+				element.style.getPropertyValue("touch-action") === "";
+
+		if (setsTouchAction) {
+			element.style.setProperty("touch-action", touchAction);
+		}
+
+		element.addEventListener("pointerdown", down);
+
+		return function() {
+			stop();
+			element.removeEventListener("pointerdown", down);
+
+			if (setsTouchAction && element.style.getPropertyValue("touch-action") === touchAction) {
+				element.style.removeProperty("touch-action");
 			}
+		};
+	}
 
-			if (typeof callback !== "function") {
-				this.consoleError(`Event::on - No valid callback [Events: ${JSON.stringify(events)}] [Data: ${JSON.stringify(data)}]`);
-				return null;
+	/**
+	 * Keep gesture recognizer installed while element has gesture event handlers
+	 * @private
+	 * @param {HTMLElement} element
+	 * @param {number} change 1 when handler is added and -1 when removed
+	 */
+	function updateGestureRecognizer(element, change) {
+		const recognizer = gestureRecognizers.get(element);
+
+		if (recognizer === undefined) {
+			if (change > 0) {
+				gestureRecognizers.set(element, {count: change, teardown: createGestureRecognizer(element)});
 			}
 
-			events = events.split(" ");
-			for (let x = 0; x < events.length; x++) {
-				const handle = {
-					event: events[x],
-					once: false,
-					// If focus or blur event then useCapture set true - firefox does not work otherwise
-					capture: (events[x] === 'blur' || events[x] === 'focus' || useCapture),
-					binder: createOnBinding.bind(null, this, this[0], hasElements, data, callback),
-					callback: callback
-				};
+		} else {
+			recognizer.count += change;
 
-				handleEventBinding(this[0], handle);
+			if (recognizer.count <= 0) {
+				recognizer.teardown();
+				gestureRecognizers.delete(element);
 			}
+		}
+	}
 
-			return this;
-		},
+	/**
+	 * Create listener function for handle - on handles are delegated and eventBind handles are direct
+	 * @private
+	 * @param {HTMLElement} element
+	 * @param {{delegated: boolean, selector: (string|null), options: Object}} handle
+	 * @returns {function(Event)}
+	 */
+	function createBinder(element, handle) {
+		const binder = (handle.delegated) ?
+				createOnBinding.bind(null, element, handle.selector !== null, handle.selector, handle) :
+				createEventBind.bind(null, element, handle);
 
-		/**
-		 * Remove event listeners from elements that has been bind with on
-		 * @param {string|undefined} [eventType]
-		 * @param {Function} [func]
-		 * @return {DDom}
-		 */
-		off: function(eventType, func) {
-			for (const element of this) {
-				if (handlerCache.has(element)) {
-					const handlers = handlerCache.get(element);
+		return limitBinder(element, handle, handle.options, binder);
+	}
 
-					for (const handler of handlers) {
-						if ((eventType === undefined || eventType === handler.event) &&
-								(func === undefined || func === handler.callback)) {
+	/**
+	 * Get node itself when it is element and its descendant elements in document order
+	 * @private
+	 * @param {Node} node
+	 * @param {boolean} deep
+	 * @returns {Array<HTMLElement>}
+	 */
+	function getSubtreeElements(node, deep) {
+		const elements = (node.nodeType === 1) ? [node] : [];
 
-							element.removeEventListener(handler.event, handler.binder, handler.capture);
-							handlers.delete(handler);
-						}
+		if (deep && typeof node.querySelectorAll === "function") {
+			return elements.concat(Array.from(node.querySelectorAll("*")));
+		}
+
+		return elements;
+	}
+
+	/**
+	 * Copy event handlers and element data from source subtree to its clone
+	 * Element data is lifecycle hooks and signal bindings, dataset and other attributes are copied by cloneNode
+	 * @private
+	 * @param {Node} source
+	 * @param {Node} clone
+	 * @param {boolean} deep
+	 * @param {{withEvents: boolean, withData: boolean}} options
+	 */
+	function copyElementState(source, clone, deep, options) {
+		const sources = getSubtreeElements(source, deep);
+		const clones = getSubtreeElements(clone, deep);
+
+		for (let x = 0; x < sources.length && x < clones.length; x++) {
+			const handlers = handlerCache.get(sources[x]);
+			const hooks = lifecycleHooks.get(sources[x]);
+
+			if (options.withEvents && handlers !== undefined) {
+				for (const handle of handlers) {
+					// Signal bindings copied withData add their own input handlers
+					if (options.withData && handle.namespaces.indexOf("bind") !== -1) {
+						continue;
 					}
 
-					// If only given eventType was removed, then check if there is still events bind and keep those
-					if (handlers.size === 0) {
-						handlerCache.delete(element);
+					// Copy has own binder and own pending timers but same callback, options and signal
+					const copy = Object.assign({}, handle, {abort: undefined, cancel: undefined});
+
+					copy.binder = createBinder(clones[x], copy);
+					handleEventBinding(clones[x], copy);
+				}
+
+				// Copied hotkey listeners are registered so unhotkey and $DDom.hotkeys find them
+				for (const binding of Array.from(hotkeyBindings)) {
+					if (binding.element === sources[x]) {
+						hotkeyBindings.add(Object.assign({}, binding, {element: clones[x]}));
 					}
 				}
 			}
 
-			return this;
-		},
+			if (options.withData && hooks !== undefined) {
+				lifecycleHooks.set(clones[x], {
+					mounted: isInDocument(clones[x]),
+					mount: hooks.mount.slice(0),
+					unmount: hooks.unmount.slice(0)
+				});
+				observeLifecycle(clones[x].ownerDocument);
+			}
 
-		/**
-		 * Trigger given event on all elements
-		 * @param {string} event
-		 * @param {Array} args
-		 */
-		trigger: function(event, args) {
-			let eventObject;
+			if (options.withData && signalBindings.has(sources[x])) {
+				for (const binding of Array.from(signalBindings.get(sources[x]))) {
+					new DDom(clones[x]).bind(binding.type, binding.signal, binding.name);
+				}
+			}
+		}
+	}
 
-			if (typeof CustomEvent === "function") {
-				eventObject = new CustomEvent(event, /** @type CustomEventInit*/({bubbles: true, cancellable: true, detail: args}));
+	/**
+	 * Clone node and optionally copy event handlers and DDom element data
+	 * @private
+	 * @param {Node} node
+	 * @param {boolean|{deep: (boolean|undefined), withEvents: (boolean|undefined), withData: (boolean|undefined)}} options
+	 * @param {boolean} defaultDeep
+	 * @returns {Node}
+	 */
+	function cloneWithState(node, options, defaultDeep) {
+		const isObject = options !== null && typeof options === "object";
+		const deep = isObject ? (options.deep === undefined ? defaultDeep : options.deep === true) : defaultDeep;
+		const clone = node.cloneNode(deep);
 
-			} else {
-				eventObject = document.createEvent("CustomEvent");
-				eventObject.initCustomEvent(event, true, true, args);
-			}
+		if (isObject && (options.withEvents === true || options.withData === true)) {
+			copyElementState(node, clone, deep, {withEvents: options.withEvents === true, withData: options.withData === true});
+		}
 
-			// noinspection JSUndefinedPropertyAssignment
-			eventObject.eventName = event;
+		return clone;
+	}
 
-			for (const element of this) {
-				element.dispatchEvent(eventObject);
+	/**
+	 * Handle event binding and setting to cache for removal of events
+	 * @private
+	 * @param {HTMLElement} element
+	 * @param {{
+	 *		event: string,
+	 *		namespaces: Array<string>,
+	 *		selector: (string|null),
+	 *		callback: Function,
+	 *		binder: function,
+	 *		once: boolean,
+	 *		capture: boolean,
+	 *		passive: boolean,
+	 *		signal: (AbortSignal|null)
+	 * }} handle
+	 */
+	function handleEventBinding(element, handle) {
+		if (handle.signal !== null) {
+			if (handle.signal.aborted) {
+				return;
 			}
-		},
 
-		/**
-		 * Destroys current node and creates new clone that is free from events and content
-		 * @return {DDom}
-		 */
-		clear: function() {
-			for (const [index, element] of this.slice(0).entries()) {
-				const parent = element.parentNode;
+			// Signal is not given to addEventListener because cache entry has to be cleared on abort also
+			handle.abort = removeEventHandle.bind(null, element, handle);
+			handle.signal.addEventListener("abort", handle.abort);
+		}
 
-				// If node has been removed from the tree then there is no parentNode
-				if (parent !== null) {
-					const clone = element.cloneNode(false);
-					parent.replaceChild(clone, element);
+		element.addEventListener(handle.event, handle.binder, {capture: handle.capture, once: handle.once, passive: handle.passive});
 
-					this[index] = clone;
-				}
-			}
+		if (gestureEvents.indexOf(handle.event) !== -1) {
+			updateGestureRecognizer(element, 1);
+		}
 
-			return this;
-		},
+		if (handlerCache.has(element)) {
+			handlerCache.get(element).add(handle);
+		} else {
+			handlerCache.set(element, new Set([handle]));
+		}
+	}
 
-		/**
-		 * Clones current elements and returns
-		 * @param {boolean} [deep=false]
-		 * @return {DDom}
-		 */
-		clone: function(deep) {
-			const clone = new DDom();
+	/**
+	 * Handle on bind events
+	 * @param {HTMLElement} delegateTarget
+	 * @param {boolean} hasElements
+	 * @param {string} data
+	 * @param {{namespaces: Array<string>, callback: function(Event, DDomEventElements)}} handle
+	 * @param {Event} event
+	 */
+	function createOnBinding(delegateTarget, hasElements, data, handle, event) {
+		const callback = handle.callback;
 
-			for (const element of this) {
-				clone.push(element.cloneNode(deep === true));
-			}
+		// Namespaced trigger only reaches handlers that have all of the namespaces
+		if (!matchesNamespaces(handle.namespaces, event.namespaces)) {
+			return;
+		}
 
-			return clone;
-		},
+		// Composed path has original target inside shadow roots where event.target is retargeted to shadow host
+		const path = (typeof event.composedPath === "function") ? event.composedPath() : [];
+		const end = path.indexOf(delegateTarget);
 
 		/**
-		 * Clears current element content
-		 * @return {DDom}
+		 * @type {HTMLElement}
 		 */
-		empty: function() {
-			for (const element of this) {
-				element.innerHTML = "";
-			}
+		const clicked = /**@type {HTMLElement}*/((end !== -1) ? path[0] : event.target);
 
-			return this;
-		},
+		const elements = {
+			target: new DDom(clicked),
+			delegateTarget: new DDom(delegateTarget)
+		};
 
-		/**
-		 * Remove focus from element
-		 * @return {DDom}
-		 */
-		blur: function() {
-			if (this[0] && this[0].nodeType === 1) {
-				this[0].blur();
-			}
+		if (hasElements && end !== -1) {
+			const match = path.slice(0, end + 1).find((node) => node.nodeType === 1 && node.matches(data));
 
-			return this;
-		},
+			if (match !== undefined) {
+				elements.target = new DDom(match);
+				runHandler((match === clicked) ? "on[1]" : "on[2]", callback, match, event, elements, delegateTarget, data);
+			}
 
-		/**
-		 * Parse DDom Node or string to return Node element
-		 * @param {DDom|Node|string} node
-		 * @return Node
-		 */
-		parseToNode: function(node) {
-			if (node instanceof DDom) {
-				switch (node.length) {
-					case 1:
-						return node[0];
+		} else if (hasElements) {
+			// Check that matches function is found from element and do matching - document does not have
+			if (clicked.matches && clicked.matches(data)) {
+				runHandler("on[1]", callback, clicked, event, elements, delegateTarget, data);
 
-					case 0:
-						return document.createTextNode('');
+			} else {
+				elements.target = elements.target.closest(data, delegateTarget);
 
-					default:
-						return node.getFragment();
+				if (elements.target.length > 0) {
+					runHandler("on[2]", callback, elements.target[0], event, elements, delegateTarget, data);
 				}
 			}
 
-			if (node instanceof Node) {
-				return node;
-			}
-
-			if (typeof node === 'string') {
-				return document.createTextNode(node);
-			}
-		},
+		} else {
+			runHandler("on[3]", callback, event.target, event, elements, delegateTarget, null);
+		}
+	}
 
-		/**
-		 * Insert node before element
-		 * Default adds node to only first element and keeps events etc
-		 * If cloneToAll is used then all nodes will receive cloned element that wont include event listeners or properties
-		 * @param {(DDom|HTMLElement|Node)} node
-		 * @param {boolean} cloneToAll
-		 * @return {DDom}
-		 */
-		after: function(node, cloneToAll = false) {
-			if (this.length > 0) {
-				// Parse parameter Node element
-				node = this.parseToNode(node);
+	/**
+	 * Lifecycle hooks of elements and whether element is currently in document
+	 * @type {WeakMap<HTMLElement, {mounted: boolean, mount: Array<function>, unmount: Array<function>}>}
+	 */
+	const lifecycleHooks = new WeakMap();
 
-				if (cloneToAll) {
-					for (const index of this.slice(0).keys()) {
-						// clone node so all elements can use it and each index has it's own elements
-						const cloneNode = node.cloneNode(true);
-						this[index].parentNode.insertBefore(cloneNode, this[index].nextSibling);
-					}
+	/**
+	 * Documents that already have the shared lifecycle MutationObserver
+	 * @type {WeakSet<Document>}
+	 */
+	const lifecycleDocuments = new WeakSet();
 
-				} else {
-					this[0].parentNode.insertBefore(node, this[0].nextSibling);
+	/**
+	 * Remove all event handlers in handler cache and signal bindings from element and its descendants
+	 * @private
+	 * @param {HTMLElement} root
+	 */
+	function releaseHandlers(root) {
+		const elements = [root].concat(Array.from(root.getElementsByTagName("*")));
+
+		for (const element of elements) {
+			const handlers = handlerCache.get(element);
+
+			releaseBindings(element);
+
+			if (handlers !== undefined) {
+				for (const handle of Array.from(handlers)) {
+					removeEventHandle(element, handle);
 				}
 			}
+		}
+	}
 
-			return this;
-		},
+	/**
+	 * Run lifecycle callbacks and handle errors like event handler errors
+	 * @private
+	 * @param {HTMLElement} element
+	 * @param {Array<function>} callbacks
+	 * @param {string} label
+	 */
+	function runLifecycleCallbacks(element, callbacks, label) {
+		for (const callback of callbacks.slice(0)) {
+			try {
+				callback.call(element, new DDom(element));
 
-		/**
-		 * Insert node before parent element
-		 * Default adds node to only first element and keeps events etc
-		 * If cloneToAll is used then all nodes will receive cloned element that wont include event listeners or properties
-		 * @param {DDom|HTMLElement|Node} node
-		 * @param {boolean} cloneToAll
-		 * @return {DDom}
-		 */
-		before: function(node, cloneToAll = false) {
-			if (this.length > 0) {
-				// Parse parameter Node element
-				node = this.parseToNode(node);
+			} catch(/*DOMException*/e) {
+				reportHandlerError(label, e, null, element, null);
+			}
+		}
+	}
 
-				if (cloneToAll) {
-					for (const index of this.slice(0).keys()) {
-						// clone node so all elements can use it and each index has it's own elements
-						const cloneNode = node.cloneNode(true);
-						this[index].parentNode.insertBefore(cloneNode, this[index]);
-					}
+	/**
+	 * Check if element is in its document - Node.isConnected with documentElement.contains fallback for Edge 18
+	 * @private
+	 * @param {Element} element
+	 * @returns {boolean}
+	 */
+	function isInDocument(element) {
+		if (typeof element.isConnected === "boolean") {
+			return element.isConnected;
+		}
 
-				} else {
-					this[0].parentNode.insertBefore(node, this[0]);
-				}
-			}
+		const root = element.ownerDocument && element.ownerDocument.documentElement;
 
-			return this;
-		},
+		return Boolean(root) && root.contains(element);
+	}
 
-		/**
-		 * Append child Node
-		 * Default adds node to only first element and keeps events etc
-		 * If cloneToAll is used then all nodes will receive cloned element that wont include event listeners or properties
-		 * @param {Node|DDom|string|number} node
-		 * @param {boolean} cloneToAll
-		 * @return {DDom}
-		 */
-		append: function(node, cloneToAll = false) {
-			if (this.length > 0) {
-				// Parse parameter Node element
-				node = this.parseToNode(node);
+	/**
+	 * Fire mount or unmount hooks when element connection state has changed
+	 * Moved elements are still connected when mutations are handled so they don't unmount
+	 * @private
+	 * @param {HTMLElement} element
+	 */
+	function updateLifecycle(element) {
+		const hooks = lifecycleHooks.get(element);
 
-				if (cloneToAll) {
-					for (const index of this.slice(0).keys()) {
-						// clone node so all elements can use it and each index has it's own elements
-						const cloneNode = node.cloneNode(true);
-						this[index].appendChild(cloneNode);
-					}
+		if (isInDocument(element) && !hooks.mounted) {
+			hooks.mounted = true;
+			runLifecycleCallbacks(element, hooks.mount, "onMount");
 
-				} else {
-					this[0].appendChild(node);
+		} else if (!isInDocument(element) && hooks.mounted) {
+			hooks.mounted = false;
+			runLifecycleCallbacks(element, hooks.unmount, "onUnmount");
+			releaseHandlers(element);
+		}
+	}
+
+	/**
+	 * Handle mutation records of shared lifecycle observer
+	 * @private
+	 * @param {Array<MutationRecord>} records
+	 */
+	function handleLifecycleMutations(records) {
+		const roots = new Set();
+		const handled = new Set();
+
+		for (const record of records) {
+			for (const node of Array.from(record.addedNodes).concat(Array.from(record.removedNodes))) {
+				if (node.nodeType === 1) {
+					roots.add(node);
 				}
 			}
+		}
 
-			return this;
-		},
-
-		/**
-		 * Prepend Node before given element
-		 * Default adds node to only first element and keeps events etc
-		 * If cloneToAll is used then all nodes will receive cloned element that wont include event listeners or properties
-		 * @param {DDom|Node|string} node
-		 * @param {boolean} cloneToAll
-		 * @returns {DDom}
-		 */
-		prepend: function(node, cloneToAll = false) {
-			if (this.length > 0) {
-				// Parse parameter Node element
-				node = this.parseToNode(node);
+		for (const root of roots) {
+			for (const element of [root].concat(Array.from(root.getElementsByTagName("*")))) {
+				if (!handled.has(element) && lifecycleHooks.has(element)) {
+					handled.add(element);
+					updateLifecycle(element);
+				}
 
-				if (cloneToAll) {
-					for (const index of this.slice(0).keys()) {
-						// clone node so all elements can use it and each index has it's own elements
-						const cloneNode = node.cloneNode(true);
-						this[index].insertBefore(cloneNode, this[index].firstChild);
-					}
+				// Signal bindings are released alone so event handlers of element stay
+				if (!isInDocument(element) && signalBindings.has(element)) {
+					releaseBindings(element);
+				}
+			}
+		}
 
-				} else {
-					this[0].insertBefore(node, this[0].firstChild);
+		if (settings.releaseOnRemove) {
+			for (const root of roots) {
+				if (!isInDocument(root)) {
+					releaseHandlers(root);
 				}
 			}
+		}
+	}
 
-			return this;
-		},
+	/**
+	 * Start shared lifecycle MutationObserver for document if it's not running yet
+	 * @private
+	 * @param {Document} doc
+	 */
+	function observeLifecycle(doc) {
+		const view = getView(doc);
 
-		/**
-		 * Replace elements with given node
-		 * Default adds node to only first element and keeps events etc
-		 * If cloneToAll is used then all nodes will receive cloned element that wont include event listeners or properties
-		 * @param {DDom|Node|string} node
-		 * @param {boolean} cloneToAll
-		 * @return {DDom}
-		 */
-		replace: function(node, cloneToAll = false) {
-			if (this.length > 0) {
-				// Parse parameter Node element
-				node = this.parseToNode(node);
+		if (lifecycleDocuments.has(doc)) {
+			return;
+		}
 
-				if (cloneToAll) {
-					for (const index of this.slice(0).keys()) {
-						const parent = this[index].parentNode;
+		if (typeof view.MutationObserver !== "function") {
+			log("warn", "Lifecycle - MutationObserver is not supported");
+			return;
+		}
 
-						if (parent !== null) {
-							// clone node so all elements can use it and each index has it's own elements
-							const cloneNode = node.cloneNode(true);
-							parent.replaceChild(cloneNode, this[index]);
-							this[index] = cloneNode;
-						}
-					}
+		lifecycleDocuments.add(doc);
+		new view.MutationObserver(handleLifecycleMutations).observe(doc, {childList: true, subtree: true});
+	}
 
-				} else {
-					const parent = this[0].parentNode;
+	/**
+	 * Add lifecycle hook to elements and start observing their documents
+	 * @private
+	 * @param {DDom} elements
+	 * @param {string} type mount|unmount
+	 * @param {function(DDom)} callback
+	 */
+	function addLifecycleHook(elements, type, callback) {
+		for (const element of elements) {
+			if (element.nodeType !== 1) {
+				continue;
+			}
 
-					if (parent !== null) {
-						parent.replaceChild(node, this[0]);
-						this[0] = node;
-					}
-				}
+			if (!lifecycleHooks.has(element)) {
+				lifecycleHooks.set(element, {mounted: isInDocument(element), mount: [], unmount: []});
 			}
 
-			return this;
-		},
+			lifecycleHooks.get(element)[type].push(callback);
+			observeLifecycle(element.ownerDocument);
 
-		/**
-		 * document.createElement
-		 * @param {string} element
-		 * @param {{
-		 *		event: {
-		 *			action: Function,
-		 *			type: string
-		 *		}
-		 * }} [parameters]
-		 * @returns {HTMLElement}
-		 */
-		ce: function(element, parameters) {
-			const ret = document.createElement(element);
+			// Element already in document is mounted right away
+			if (type === "mount" && isInDocument(element)) {
+				runLifecycleCallbacks(element, [callback], "onMount");
+			}
+		}
+	}
 
-			parameters = parameters || Object.create(null);
+	/**
+	 * Keys of nodes rendered by renderList
+	 * @type {WeakMap<Node, string>}
+	 */
+	const listKeys = new WeakMap();
 
-			for (const key of Object.keys(parameters)) {
-				if (key === "event") {
-					if (Array.isArray(parameters[key])) {
-						for (const data of parameters[key]) {
-							ret.addEventListener(data.type, /**string*/data.action);
-						}
-					} else {
-						ret.addEventListener(parameters[key].type, parameters[key].action);
-					}
+	/**
+	 * Get indexes of longest increasing subsequence - nodes at these indexes can stay while others are moved
+	 * @private
+	 * @param {Array<number>} sequence
+	 * @returns {Set<number>}
+	 */
+	function longestIncreasingIndexes(sequence) {
+		const previous = new Array(sequence.length);
+		const tails = [];
+
+		for (let x = 0; x < sequence.length; x++) {
+			let low = 0;
+			let high = tails.length;
+
+			while (low < high) {
+				const middle = (low + high) >> 1;
+
+				if (sequence[tails[middle]] < sequence[x]) {
+					low = middle + 1;
 				} else {
-					ret.setAttribute(key, parameters[key]);
+					high = middle;
 				}
 			}
 
-			return ret;
-		},
+			previous[x] = (low > 0) ? tails[low - 1] : -1;
+			tails[low] = x;
+		}
 
-		/**
-		 * Search closest Node that matches given selector
-		 * @param {string} tag
-		 * @param {Element} [until]
-		 * @returns {DDom}
-		 */
-		closest: function(tag, until) {
-			if (this[0]) {
-				let element = this[0];
+		const result = new Set();
 
-				do {
-					if (element.nodeType === 1 && element.matches(tag)) {
-						return new DDom(element);
-					}
+		for (let x = tails.length > 0 ? tails[tails.length - 1] : -1; x !== -1; x = previous[x]) {
+			result.add(x);
+		}
 
-					// If until is element check that we don't go further than that
-					if (until !== undefined && until === element) {
-						break;
-					}
+		return result;
+	}
 
-					element = element.parentNode;
+	/**
+	 * Get focused element with caret and scroll positions of container and its descendants
+	 * @private
+	 * @param {HTMLElement} container
+	 * @returns {{focused: (HTMLElement|null), selection: (Array<number>|null), scroll: Array<Array<*>>}}
+	 */
+	function saveListState(container) {
+		const active = container.ownerDocument.activeElement;
+		const focused = (active && active !== container && container.contains(active)) ? active : null;
+		const scroll = [];
+		let selection = null;
+
+		for (const element of [container].concat(Array.from(container.getElementsByTagName("*")))) {
+			if (element.scrollTop !== 0 || element.scrollLeft !== 0) {
+				scroll.push([element, element.scrollTop, element.scrollLeft]);
+			}
+		}
 
-				} while (element !== null);
+		try {
+			if (focused !== null && typeof focused.selectionStart === "number") {
+				selection = [focused.selectionStart, focused.selectionEnd, focused.selectionDirection];
 			}
 
-			return new DDom();
-		},
+		} catch(/*DOMException*/e) {
+			// Inputs like type=number don't have selection
+		}
 
-		/**
-		 * Search closest tag from current element
-		 * @param {string} className
-		 * @returns {DDom}
-		 */
-		closestClass: function(className) {
-			if (this[0]) {
-				let element = this[0];
+		return {focused: focused, selection: selection, scroll: scroll};
+	}
 
-				do {
-					if (element.classList) {
-						if (element.classList.contains(className)) {
-							return new DDom(element);
-						}
+	/**
+	 * Restore focus, caret and scroll positions that moving nodes has reset
+	 * @private
+	 * @param {{focused: (HTMLElement|null), selection: (Array<number>|null), scroll: Array<Array<*>>}} state
+	 */
+	function restoreListState(state) {
+		const focused = state.focused;
 
-					} else {
-						if ((" " + element.className + " ").replace(/[\n\t\r]/g, " ").indexOf(" " + className + " ") > -1) {
-							return new DDom(element);
-						}
-					}
+		if (focused !== null && isInDocument(focused) && focused.ownerDocument.activeElement !== focused) {
+			focused.focus({preventScroll: true});
 
-					element = element.parentNode;
+			if (state.selection !== null) {
+				focused.setSelectionRange(state.selection[0], state.selection[1], state.selection[2]);
+			}
+		}
 
-				} while (element !== null);
+		for (const [element, top, left] of state.scroll) {
+			if (isInDocument(element) && (element.scrollTop !== top || element.scrollLeft !== left)) {
+				element.scrollTop = top;
+				element.scrollLeft = left;
 			}
+		}
+	}
 
-			return new DDom();
-		},
+	/**
+	 * Create list node with createFn result that can be DDom, Node or markup
+	 * @private
+	 * @param {function(*, number): (DDom|Node|string)} createFn
+	 * @param {*} item
+	 * @param {number} index
+	 * @returns {Node|null}
+	 */
+	function createListNode(createFn, item, index) {
+		const created = createFn(item, index);
+		const node = (created instanceof DDom) ? created[0] :
+				(typeof created === "string") ? parseMarkup(created)[0] : created;
+
+		if (!node || node.nodeType === undefined) {
+			log("error", `renderList - createFn has to return DDom, Node or markup [Index: ${index}]`);
+			return null;
+		}
 
-		/**
-		 * QuerySelector search
-		 * @param {string} search
-		 * @param {HTMLElement|Document} [secondElement]
-		 * @returns {DDom}
-		 */
-		qs: function(search, secondElement) {
-			if ((this[0] !== undefined || secondElement !== undefined) && search !== "") {
-				return new DDom((this[0] || secondElement).querySelector(search));
+		return node;
+	}
+
+	/**
+	 * Reconcile children of container with items by key
+	 * Existing nodes are reused and only nodes that are out of order are moved
+	 * @private
+	 * @param {HTMLElement} container
+	 * @param {Array<*>} items
+	 * @param {function(*, number): string} keyFn
+	 * @param {function(*, number): (DDom|Node|string)} createFn
+	 * @param {function(DDom, *, number)} [updateFn]
+	 */
+	function reconcileList(container, items, keyFn, createFn, updateFn) {
+		const state = saveListState(container);
+		const existing = new Map();
+		const positions = new Map();
+		const nodes = [];
+		const used = new Set();
+
+		Array.from(container.childNodes).forEach((child, index) => {
+			const key = listKeys.has(child) ? listKeys.get(child) :
+					(child.nodeType === 1 && child.hasAttribute("data-key")) ? child.getAttribute("data-key") : null;
+
+			if (key !== null && !existing.has(key)) {
+				existing.set(key, child);
 			}
 
-			return new DDom();
-		},
+			positions.set(child, index);
+		});
 
-		/**
-		 * QuerySelector search
-		 * @param {string} search
-		 * @param {HTMLElement|Document} [secondElement]
-		 * @return {DDom}
-		 */
-		qsAll: function(search, secondElement) {
-			if ((this[0] !== undefined || secondElement !== undefined) && search !== "") {
-				return new DDom((this[0] || secondElement).querySelectorAll(search));
+		items.forEach((item, index) => {
+			const key = String(keyFn(item, index));
+			let node = existing.get(key);
+
+			if (used.has(key)) {
+				log("warn", `renderList - Duplicate key skipped [Key: ${key}]`);
+				return;
 			}
 
-			return new DDom();
-		},
+			used.add(key);
 
-		/**
-		 * Search if given node exists in current object node
-		 * @param {DDom|HTMLElement|HTMLDocument} search
-		 * @returns {boolean}
-		 */
-		contains: function(search) {
-			// IE fix where document does not have contains function so go to document.body
-			const node = (this[0] === document) ? document.body : this[0];
+			if (node !== undefined) {
+				if (typeof updateFn === "function") {
+					updateFn(new DDom(node), item, index);
+				}
 
-			search = (search.isDDom) ? search.get() : search;
+			} else {
+				node = createListNode(createFn, item, index);
 
-			if (node && node.nodeType === 1) {
-				// Because IE does not have contains in document we have to always handle document.body because
-				// document.contains(document) would give true so after change from document to document.body
-				// in source node, we have to do same thing for the searched element also
-				return node.contains((search === document) ? document.body : search);
+				if (node === null) {
+					return;
+				}
 			}
 
-			return false;
-		},
+			listKeys.set(node, key);
+			nodes.push(node);
+		});
 
-		/**
-		 * Set focus to element
-		 * @return {DDom}
-		 */
-		focus: function() {
-			if (this[0] && this[0].nodeType === 1) {
-				this[0].focus();
+		const keep = new Set(nodes);
 
-				// Set cursor to the end
-				const length = this[0].value.length;
-				this[0].setSelectionRange(length, length);
+		for (const child of Array.from(container.childNodes)) {
+			if (!keep.has(child)) {
+				container.removeChild(child);
 			}
+		}
 
-			return this;
-		},
-
-		/**
-		 * Set focus to first focusable element
-		 * @return {DDom}
-		 */
-		focusFirstFocusable: function() {
-			const focusable = this.qsAll('a:not([disabled]), button:not([disabled]), input:not([disabled]),' +
-					' [tabindex]:not([disabled]):not([tabindex="-1"])');
+		// Reused nodes in longest run that is already in order stay and everything else is inserted around them
+		const reused = nodes.filter((node) => positions.has(node) && node.parentNode === container);
+		const sequence = reused.map((node) => positions.get(node));
+		const stable = new Set(Array.from(longestIncreasingIndexes(sequence), (index) => reused[index]));
+		let anchor = null;
 
-			if (focusable.length > 0) {
-				focusable[0].focus();
+		for (let x = nodes.length - 1; x >= 0; x--) {
+			if (!stable.has(nodes[x])) {
+				container.insertBefore(nodes[x], anchor);
 			}
 
-			return this;
-		},
+			anchor = nodes[x];
+		}
 
-		/**
-		 * Iterate through all elements
-		 * @param {Function} callback
-		 * @return {DDom}
-		 */
-		forEach: function(callback) {
-			for (const [index, element] of this.slice(0).entries()) {
-				callback.call(element, element, index);
-			}
+		restoreListState(state);
+	}
 
-			return this;
-		},
+	/**
+	 * Default morph key - id or data-key attribute of element
+	 * @private
+	 * @param {Node} node
+	 * @returns {string|null}
+	 */
+	function getMorphKey(node) {
+		if (node.nodeType !== 1) {
+			return null;
+		}
 
-		/**
-		 * Map through elements in array like ES5 Array function map
-		 * @param {Function} callback
-		 * @return {Array}
-		 */
-		map: function(callback) {
-			const ret = [];
+		return node.id || node.getAttribute("data-key") || null;
+	}
 
-			for (const element of this) {
-				ret.push(callback.call(element, element));
-			}
+	/**
+	 * Check that nodes are same kind so one can be patched to another
+	 * @private
+	 * @param {Node} from
+	 * @param {Node} to
+	 * @returns {boolean}
+	 */
+	function isSameNodeKind(from, to) {
+		return from.nodeType === to.nodeType && from.nodeName === to.nodeName &&
+				(from.nodeType !== 1 || from.namespaceURI === to.namespaceURI);
+	}
 
-			return ret;
-		},
+	/**
+	 * Patch attributes of element to match new element
+	 * Form values of focused element are not touched so user input and caret position are kept
+	 * @private
+	 * @param {Element} from
+	 * @param {Element} to
+	 */
+	function morphAttributes(from, to) {
+		for (const attribute of Array.from(from.attributes)) {
+			if (!to.hasAttributeNS(attribute.namespaceURI, attribute.localName)) {
+				from.removeAttributeNS(attribute.namespaceURI, attribute.localName);
+			}
+		}
 
-		/**
-		 * set css
-		 * @param {Object} attributes
-		 * @return {DDom}
-		 */
-		css: function(attributes) {
-			for (const element of this) {
-				if (element.nodeType === 1) {
-					for (const key of Object.keys(attributes)) {
-						element.style[key] = attributes[key];
-					}
-				}
+		for (const attribute of Array.from(to.attributes)) {
+			if (from.getAttributeNS(attribute.namespaceURI, attribute.localName) !== attribute.value) {
+				from.setAttributeNS(attribute.namespaceURI, attribute.name, attribute.value);
 			}
+		}
 
-			return this;
-		},
+		if (from === from.ownerDocument.activeElement) {
+			return;
+		}
 
-		/**
-		 * Get this nodes parent node
-		 * @returns {DDom}
-		 */
-		parent: function(steps) {
-			let element;
+		if (from.localName === "input") {
+			if (from.value !== to.value && from.type !== "file") {
+				from.value = to.value;
+			}
 
-			steps = steps || 1;
+			from.checked = to.checked;
 
-			if (this.length !== 0) {
-				steps--;
-				element = this[0].parentNode;
+		} else if (from.localName === "textarea" && from.value !== to.value) {
+			from.value = to.value;
+		}
+	}
 
-				while (steps > 0) {
-					element = element.parentNode;
-					steps--;
-				}
+	/**
+	 * Patch node to match new node
+	 * @private
+	 * @param {Node} from
+	 * @param {Node} to
+	 * @param {{key: function(Node): (string|null), skip: (function(Node, Node): boolean|undefined), preserve: (function(Node): boolean|undefined)}} options
+	 */
+	function morphNode(from, to, options) {
+		if (typeof options.skip === "function" && options.skip(from, to) === true) {
+			return;
+		}
+
+		if (from.nodeType !== 1) {
+			if (from.nodeValue !== to.nodeValue) {
+				from.nodeValue = to.nodeValue;
 			}
 
-			return new DDom(element);
-		},
+			return;
+		}
 
-		/**
-		 * Matches selector
-		 * @param {string} attribute
-		 * @returns {boolean}
-		 */
-		matches: function(attribute) {
-			return !!(this[0] && this[0].nodeType === 1 && this[0].matches(attribute));
-		},
+		morphAttributes(from, to);
 
-		/**
-		 * Matches selector
-		 * @param {string} attribute
-		 * @returns {DDom}
-		 */
-		matchesAll: function(attribute) {
-			const matching = new DDom();
+		// Textarea children are its default value
+		if (from.localName !== "textarea") {
+			morphChildren(from, to, options);
+		}
 
-			for (const element of this) {
-				if (element.nodeType === 1 && element.matches(attribute)) {
-					matching.push(element);
+		if (from.localName === "select" && from !== from.ownerDocument.activeElement) {
+			for (const [index, option] of Array.from(to.options).entries()) {
+				if (from.options[index]) {
+					from.options[index].selected = option.selected;
 				}
 			}
+		}
+	}
 
-			return matching;
-		},
+	/**
+	 * Patch children of node to match children of new node
+	 * Keyed nodes are matched by key anywhere in children and other nodes by kind in order. Existing nodes are
+	 * reused, new nodes are moved from new content and nodes without match are removed unless preserved
+	 * @private
+	 * @param {Node} from
+	 * @param {Node} to
+	 * @param {{key: function(Node): (string|null), skip: (function(Node, Node): boolean|undefined), preserve: (function(Node): boolean|undefined)}} options
+	 */
+	function morphChildren(from, to, options) {
+		const keyed = new Map();
+		let current = from.firstChild;
 
-		/**
-		 * Next element sibling
-		 * @returns {DDom}
-		 */
-		next: function() {
-			if (this[0] && this[0].nodeType === 1) {
-				let element = this[0].nextElementSibling;
-				if (element !== null) {
-					return new DDom(element);
-				}
+		for (const child of Array.from(from.childNodes)) {
+			const key = options.key(child);
+
+			if (key !== null && !keyed.has(key)) {
+				keyed.set(key, child);
 			}
+		}
 
-			return new DDom();
-		},
+		for (const newChild of Array.from(to.childNodes)) {
+			const key = options.key(newChild);
+			let match = null;
 
-		/**
-		 * Get last element child
-		 * @returns {DDom}
-		 */
-		last: function() {
-			if (this[0] && this[0].nodeType === 1) {
-				let element = this[0].lastElementChild;
-				if (element !== null) {
-					return new DDom(element);
-				}
-			}
+			if (key !== null) {
+				match = keyed.get(key) || null;
+				keyed.delete(key);
 
-			return new DDom();
-		},
+				if (match !== null && !isSameNodeKind(match, newChild)) {
+					match = null;
+				}
 
-		/**
-		 * Previous element sibling
-		 * @returns {DDom}
-		 */
-		prev: function() {
-			if (this[0] && this[0].nodeType === 1) {
-				let element = this[0].previousElementSibling;
-				if (element !== null) {
-					return new DDom(element);
+			} else {
+				for (let node = current; node !== null; node = node.nextSibling) {
+					if (options.key(node) === null && isSameNodeKind(node, newChild)) {
+						match = node;
+						break;
+					}
 				}
 			}
 
-			return new DDom();
-		},
+			if (match === null) {
+				from.insertBefore(newChild, current);
+				continue;
+			}
 
-		/**
-		 * Return text node with given text
-		 * @param {string} text
-		 * @returns {Text}
-		 */
-		text: function(text) {
-			return document.createTextNode(text);
-		},
+			if (match === current) {
+				current = current.nextSibling;
+			} else {
+				from.insertBefore(match, current);
+			}
 
-		/**
-		 * Put cursor at end of all input and textarea fields
-		 * @returns {DDom}
-		 */
-		putCursorAtEnd: function() {
-			const element = this[0] || {};
+			morphNode(match, newChild, options);
+		}
 
-			if (element.nodeType === 1) {
-				const length = this.getVal().length;
+		while (current !== null) {
+			const next = current.nextSibling;
 
-				// Check if required element has already focus - if yes then don't refocus because it might break stuff like suggestSearch
-				if (document.activeElement !== this) {
-					this.focus();
-				}
+			if (typeof options.preserve !== "function" || options.preserve(current) !== true) {
+				from.removeChild(current);
+			}
 
-				if (length !== 0) {
-					// If this function exists...
-					if (element.setSelectionRange) {
-						// Double the length because Opera is inconsistent about whether a carriage return is one character or two. Sigh.
-						element.setSelectionRange(length, length);
-					} else {
-						this.eq(0).setVal(this.getVal());
-					}
+			current = next;
+		}
+	}
 
-					// Scroll to the bottom, in case we're in a tall textarea
-					// (Necessary for Firefox and Google Chrome)
-					// noinspection JSUnusedGlobalSymbols
+	/**
+	 * Get new content for morph as node where children are new children
+	 * @private
+	 * @param {string|DDom|Node} content
+	 * @returns {Node}
+	 */
+	function getMorphContent(content) {
+		if (typeof content === "string" || typeof content === "number") {
+			return parseTemplate(String(content));
+		}
+
+		if (content instanceof DDom) {
+			return content.getFragment();
+		}
+
+		if (content && content.nodeType === 11) {
+			return content;
+		}
+
+		const fragment = getDocument().createDocumentFragment();
+
+		if (content && content.nodeType !== undefined) {
+			fragment.appendChild(content);
+		}
+
+		return fragment;
+	}
+
+	/**
+	 * Dependency sets of computed signals that are currently running - last one collects signals that are read
+	 * @type {Array<Set<Object>>}
+	 */
+	const signalTracking = [];
+
+	/**
+	 * Signal subscriber jobs waiting for next microtask
+	 * @type {Set<function>}
+	 */
+	const signalJobs = new Set();
+
+	/**
+	 * Signal bindings by element with release function and bind parameters that clone withData uses to bind again
+	 * @type {WeakMap<HTMLElement, Set<{release: function, type: string, signal: (Object|function), name: (string|undefined)}>>}
+	 */
+	const signalBindings = new WeakMap();
+
+	let signalFlushQueued = false;
+
+	/**
+	 * Flush rounds after which signal jobs that keep queueing each other are dropped
+	 * @type {number}
+	 */
+	const maxSignalFlushRounds = 100;
+
+	/**
+	 * Run queued signal jobs - jobs queued while flushing run in next round of same flush
+	 * @private
+	 */
+	function flushSignalJobs() {
+		signalFlushQueued = false;
+
+		for (let round = 0; signalJobs.size > 0; round++) {
+			if (round === maxSignalFlushRounds) {
+				log("error", `signal - Jobs keep queueing each other, dropped [Rounds: ${round}] [Jobs: ${signalJobs.size}]`);
+				signalJobs.clear();
+				break;
+			}
+
+			const jobs = Array.from(signalJobs);
+
+			signalJobs.clear();
+
+			for (const job of jobs) {
+				try {
+					job();
+
+				} catch(/*DOMException*/e) {
+					reportHandlerError("signal", e, null, null, null);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Queue subscriber job so many changes in same task update DOM only once
+	 * @private
+	 * @param {function} job
+	 */
+	function queueSignalJob(job) {
+		signalJobs.add(job);
+
+		if (!signalFlushQueued) {
+			signalFlushQueued = true;
+			Promise.resolve().then(flushSignalJobs);
+		}
+	}
+
+	/**
+	 * Create signal object with value accessor, subscribe and internal observer list
+	 * @private
+	 * @param {function(): *} read value getter that is run when value is requested
+	 * @param {function(*)|null} write value setter or null for read only signal
+	 * @returns {Object}
+	 */
+	function createSignalObject(read, write) {
+		const observers = new Set();
+		const signal = {
+			/**
+			 * Current value - reading inside computed adds signal as dependency
+			 * @type {*}
+			 */
+			get value() {
+				if (signalTracking.length > 0) {
+					signalTracking[signalTracking.length - 1].add(signal);
+				}
+
+				return read();
+			},
+
+			set value(value) {
+				if (write === null) {
+					log("error", "signal - Computed signal is read only");
+					return;
+				}
+
+				write(value);
+			},
+
+			/**
+			 * Get value without adding dependency
+			 * @returns {*}
+			 */
+			peek: function() {
+				return read();
+			},
+
+			/**
+			 * Run callback with value after changes - callbacks are batched to next microtask
+			 * @param {function(*)} callback
+			 * @returns {function()} unsubscribe function
+			 */
+			subscribe: function(callback) {
+				const job = () => callback(read());
+				const observer = () => queueSignalJob(job);
+
+				observers.add(observer);
+
+				return () => {
+					observers.delete(observer);
+					signalJobs.delete(job);
+				};
+			}
+		};
+
+		Object.defineProperty(signal, "observers", {value: observers});
+
+		return signal;
+	}
+
+	/**
+	 * Notify observers of signal that value has changed
+	 * @private
+	 * @param {Object} signal
+	 */
+	function notifySignal(signal) {
+		for (const observer of Array.from(signal.observers)) {
+			observer();
+		}
+	}
+
+	/**
+	 * Check that value is signal created by $DDom.signal or $DDom.computed
+	 * @private
+	 * @param {*} value
+	 * @returns {boolean}
+	 */
+	function isSignal(value) {
+		return value !== null && typeof value === "object" && value.observers instanceof Set &&
+				typeof value.subscribe === "function";
+	}
+
+	/**
+	 * Bind signal to element with apply function that updates DOM now and after every change
+	 * Binding is released when element is removed from document
+	 * @private
+	 * @param {HTMLElement} element
+	 * @param {Object} signal
+	 * @param {function(*)} apply
+	 * @param {boolean} owned signal was created for this binding and is disposed with it
+	 * @param {{type: string, signal: (Object|function), name: (string|undefined)}} parameters bind parameters
+	 */
+	function bindSignal(element, signal, apply, owned, parameters) {
+		const subscription = signal.subscribe(apply);
+		const release = owned ? () => {
+			subscription();
+			signal.dispose();
+		} : subscription;
+
+		if (!signalBindings.has(element)) {
+			signalBindings.set(element, new Set());
+			observeLifecycle(element.ownerDocument);
+		}
+
+		signalBindings.get(element).add(Object.assign({release: release}, parameters));
+		apply(signal.peek());
+	}
+
+	/**
+	 * Release signal bindings of element
+	 * @private
+	 * @param {HTMLElement} element
+	 */
+	function releaseBindings(element) {
+		const bindings = signalBindings.get(element);
+
+		if (bindings !== undefined) {
+			signalBindings.delete(element);
+
+			for (const binding of bindings) {
+				binding.release();
+			}
+		}
+	}
+
+	/**
+	 * Namespace URIs by short name
+	 * @type {Object<string, string>}
+	 */
+	const namespaceURIs = {
+		html: "http://www.w3.org/1999/xhtml",
+		svg: "http://www.w3.org/2000/svg",
+		mathml: "http://www.w3.org/1998/Math/MathML",
+		xlink: "http://www.w3.org/1999/xlink",
+		xml: "http://www.w3.org/XML/1998/namespace"
+	};
+
+	/**
+	 * HTML boolean attributes - ce sets them empty when true and leaves them out when false, other attributes like
+	 * draggable, contenteditable, spellcheck or aria-* get true and false as strings
+	 * @type {Set<string>}
+	 */
+	const booleanAttributes = new Set(["allowfullscreen", "async", "autofocus", "autoplay", "checked", "controls",
+		"default", "defer", "disabled", "formnovalidate", "hidden", "inert", "ismap", "itemscope", "loop", "multiple",
+		"muted", "nomodule", "novalidate", "open", "playsinline", "readonly", "required", "reversed", "selected"]);
+
+	/**
+	 * SVG tags that are created in SVG namespace automatically - tags like a, title or style that also exist in
+	 * HTML only get SVG namespace when created as children of SVG element or with ns parameter
+	 * @type {Set<string>}
+	 */
+	const svgTags = new Set(["svg", "g", "path", "circle", "ellipse", "line", "polyline", "polygon", "rect", "text",
+		"tspan", "textPath", "defs", "use", "symbol", "marker", "mask", "pattern", "clipPath", "linearGradient",
+		"radialGradient", "stop", "filter", "foreignObject", "desc", "switch", "animate", "animateMotion",
+		"animateTransform", "feBlend", "feColorMatrix", "feComposite", "feFlood", "feGaussianBlur", "feMerge",
+		"feMergeNode", "feOffset"]);
+
+	/**
+	 * MathML tags that are created in MathML namespace automatically
+	 * @type {Set<string>}
+	 */
+	const mathTags = new Set(["math", "mi", "mn", "mo", "ms", "mtext", "mrow", "mfrac", "msqrt", "mroot", "msub",
+		"msup", "msubsup", "munder", "mover", "munderover", "mtable", "mtr", "mtd", "mspace", "mstyle", "semantics",
+		"annotation"]);
+
+	/**
+	 * Resolve namespace URI for new element from ns parameter or known SVG and MathML tags
+	 * @private
+	 * @param {string} tag
+	 * @param {string|undefined} ns short name html, svg, mathml or namespace URI
+	 * @returns {string|null} null for HTML elements
+	 */
+	function getNamespaceURI(tag, ns) {
+		if (ns !== undefined && ns !== null) {
+			const uri = namespaceURIs[ns] || ns;
+			return (uri === namespaceURIs.html) ? null : uri;
+		}
+
+		if (svgTags.has(tag)) {
+			return namespaceURIs.svg;
+		}
+
+		return mathTags.has(tag) ? namespaceURIs.mathml : null;
+	}
+
+	/**
+	 * Set attribute and use namespace for xlink: and xml: prefixed names eg. "xlink:href"
+	 * @private
+	 * @param {Element} element
+	 * @param {string} name
+	 * @param {string|number|boolean} value
+	 */
+	function setAttributeNS(element, name, value) {
+		const prefix = name.split(":")[0];
+
+		if (name.indexOf(":") !== -1 && (prefix === "xlink" || prefix === "xml")) {
+			element.setAttributeNS(namespaceURIs[prefix], name, value);
+
+		} else {
+			element.setAttribute(name, value);
+		}
+	}
+
+	/**
+	 * Get class attribute value - className is SVGAnimatedString for SVG elements so attribute is used instead
+	 * @private
+	 * @param {Element} element
+	 * @returns {string}
+	 */
+	function getClassName(element) {
+		return (element.getAttribute && element.getAttribute("class")) || "";
+	}
+
+	/**
+	 * Get rendered size for elements without offset size like SVG and MathML elements
+	 * @private
+	 * @param {Element} element
+	 * @param {string} dimension width|height
+	 * @returns {number}
+	 */
+	function getBoxSize(element, dimension) {
+		return (typeof element.getBoundingClientRect === "function") ? element.getBoundingClientRect()[dimension] : 0;
+	}
+
+	/**
+	 * Set class from ce class parameter
+	 * @private
+	 * @param {HTMLElement} element
+	 * @param {string|Array<string>|Object<string, boolean>} value
+	 */
+	function setClassSpec(element, value) {
+		if (Array.isArray(value)) {
+			for (const className of value) {
+				if (className) {
+					element.classList.add(className);
+				}
+			}
+
+		} else if (value !== null && typeof value === "object") {
+			for (const className of Object.keys(value)) {
+				if (value[className]) {
+					element.classList.add(className);
+				}
+			}
+
+		} else {
+			element.setAttribute("class", value);
+		}
+	}
+
+	/**
+	 * Children of SVG and MathML elements are created in parent namespace unless ns is given
+	 * SVG foreignObject children are HTML
+	 * @private
+	 * @param {Element} parent
+	 * @param {Object} [parameters]
+	 * @returns {Object}
+	 */
+	function inheritNamespace(parent, parameters) {
+		parameters = parameters || Object.create(null);
+
+		if (parameters.ns === undefined && parent.namespaceURI !== namespaceURIs.html &&
+				parent.namespaceURI !== null && parent.localName !== "foreignObject") {
+			return Object.assign({ns: parent.namespaceURI}, parameters);
+		}
+
+		return parameters;
+	}
+
+	/**
+	 * Append ce children parameter item to parent
+	 * Item can be nested spec {tag, ...parameters} or [tag, parameters], string, number, Node or DDom
+	 * @private
+	 * @param {HTMLElement} parent
+	 * @param {Object|Array|string|number|Node|DDom|null|undefined} child
+	 */
+	function appendSpec(parent, child) {
+		if (child === null || child === undefined || child === false) {
+			return;
+		}
+
+		if (Array.isArray(child)) {
+			parent.appendChild(DDom.prototype.ce(child[0], inheritNamespace(parent, child[1])));
+
+		} else if (typeof child === "number") {
+			parent.appendChild(getDocument().createTextNode(String(child)));
+
+		} else if (typeof child === "object" && !child.isDDom && child.nodeType === undefined) {
+			const parameters = Object.assign({}, child);
+
+			delete parameters.tag;
+			parent.appendChild(DDom.prototype.ce(child.tag, inheritNamespace(parent, parameters)));
+
+		} else {
+			parent.appendChild(DDom.prototype.parseToNode(child));
+		}
+	}
+
+	/**
+	 * Hotkey modifier names and their aliases
+	 * @type {Object<string, string>}
+	 */
+	const hotkeyModifiers = {
+		ctrl: "ctrl", control: "ctrl",
+		alt: "alt", option: "alt",
+		shift: "shift",
+		meta: "meta", cmd: "meta", command: "meta", super: "meta", win: "meta"
+	};
+
+	/**
+	 * Hotkey key name aliases to KeyboardEvent.key values in lower case
+	 * @type {Object<string, string>}
+	 */
+	const hotkeyAliases = {
+		esc: "escape", return: "enter", space: " ", spacebar: " ", plus: "+", del: "delete", ins: "insert",
+		up: "arrowup", down: "arrowdown", left: "arrowleft", right: "arrowright"
+	};
+
+	/**
+	 * Registered hotkeys for $DDom.hotkeys listing and removal
+	 * Entries are dropped when their keydown listener is removed with off, abort signal or handler release
+	 * @type {Set<{element: (HTMLElement|Document|Window), keys: string, callback: function, listener: function}>}
+	 */
+	const hotkeyBindings = new Set();
+
+	/**
+	 * Check if running on Apple platform where "mod" modifier means meta instead of ctrl
+	 * @private
+	 * @returns {boolean}
+	 */
+	function isApplePlatform() {
+		return typeof navigator !== "undefined" && /Mac|iPhone|iPad|iPod/.test(navigator.platform || "");
+	}
+
+	/**
+	 * Parse comma separated hotkey list where each hotkey can be space separated sequence eg. "ctrl+s, g i"
+	 * @private
+	 * @param {string} keys
+	 * @returns {Array<{combo: string, steps: Array<{
+	 *		key: string, ctrl: boolean, alt: boolean, shift: boolean, meta: boolean
+	 * }>}>}
+	 */
+	function parseHotkeys(keys) {
+		return keys.split(",").map((combo) => combo.trim()).filter((combo) => combo !== "").map((combo) => ({
+			combo: combo,
+			steps: combo.split(/\s+/).map((step) => {
+				const parts = step.toLowerCase().split("+");
+				const parsed = {key: parts.pop(), ctrl: false, alt: false, shift: false, meta: false};
+
+				// "ctrl++" and "+" end with empty parts because plus is the separator
+				if (parsed.key === "") {
+					parts.pop();
+					parsed.key = "+";
+				}
+
+				parsed.key = hotkeyAliases[parsed.key] || parsed.key;
+
+				for (const part of parts) {
+					const modifier = (part === "mod") ? (isApplePlatform() ? "meta" : "ctrl") : hotkeyModifiers[part];
+
+					if (modifier !== undefined) {
+						parsed[modifier] = true;
+					}
+				}
+
+				return parsed;
+			})
+		}));
+	}
+
+	/**
+	 * Check if keyboard event matches one hotkey step
+	 * Key is matched by layout so shortcuts follow QWERTZ, AZERTY etc. Physical key is used for letters and digits
+	 * only when key is not printable ASCII character eg. when alt on macOS has changed "s" to "ß"
+	 * @private
+	 * @param {{key: string, ctrl: boolean, alt: boolean, shift: boolean, meta: boolean}} step
+	 * @param {KeyboardEvent} event
+	 * @returns {boolean}
+	 */
+	function matchesHotkeyStep(step, event) {
+		const key = (event.key || "").toLowerCase();
+		const isSymbol = step.key.length === 1 && !/[a-z0-9]/.test(step.key);
+
+		if (event.ctrlKey !== step.ctrl || event.altKey !== step.alt || event.metaKey !== step.meta) {
+			return false;
+		}
+
+		// Symbols like "?" already need shift on most layouts so shift is only checked for other keys
+		if (!isSymbol && event.shiftKey !== step.shift) {
+			return false;
+		}
+
+		if (key === step.key) {
+			return true;
+		}
+
+		return !/^[\x20-\x7e]$/.test(key) &&
+				(event.code === `Key${step.key.toUpperCase()}` || event.code === `Digit${step.key}`);
+	}
+
+	/**
+	 * Check if event target is form field or content editable where hotkeys are skipped by default
+	 * @private
+	 * @param {EventTarget} target
+	 * @returns {boolean}
+	 */
+	function isEditableTarget(target) {
+		if (!target || target.nodeType !== 1) {
+			return false;
+		}
+
+		return /^(input|textarea|select)$/i.test(target.nodeName) || target.isContentEditable === true ||
+				target.closest('[contenteditable]:not([contenteditable="false"])') !== null;
+	}
+
+	/**
+	 * Create keydown listener that runs callback when one of the hotkeys or key sequences matches
+	 * Sequence progress is kept per element so typing in one element doesn't advance sequence of another
+	 * @private
+	 * @param {string} keys
+	 * @param {function(KeyboardEvent, {combo: string, target: DDom})} callback
+	 * @param {{inInputs: boolean, preventDefault: boolean, sequenceTimeout: number}} options
+	 * @returns {function(KeyboardEvent, DDom)}
+	 */
+	function createHotkeyListener(keys, callback, options) {
+		const combos = parseHotkeys(keys);
+		const progress = new WeakMap();
+
+		return function(event, target) {
+			const key = (event.key || "").toLowerCase();
+			const now = Date.now();
+
+			// Modifier keydown events are part of the combination and must not break sequences
+			if (key === "control" || key === "shift" || key === "alt" || key === "meta" ||
+					(!options.inInputs && isEditableTarget(event.target))) {
+				return;
+			}
+
+			let states = progress.get(event.currentTarget);
+
+			if (states === undefined) {
+				states = combos.map(() => ({index: 0, time: 0}));
+				progress.set(event.currentTarget, states);
+			}
+
+			for (let x = 0; x < combos.length; x++) {
+				const combo = combos[x];
+				const state = states[x];
+
+				if (state.index > 0 && now - state.time > options.sequenceTimeout) {
+					state.index = 0;
+				}
+
+				if (matchesHotkeyStep(combo.steps[state.index], event)) {
+					state.index++;
+					state.time = now;
+
+				} else {
+					// Wrong key restarts sequence but the key can be first step of new sequence
+					state.index = (state.index > 0 && matchesHotkeyStep(combo.steps[0], event)) ? 1 : 0;
+					state.time = now;
+				}
+
+				if (state.index === combo.steps.length) {
+					for (const other of states) {
+						other.index = 0;
+					}
+
+					if (options.preventDefault) {
+						event.preventDefault();
+					}
+
+					return callback.call(this, event, {combo: combo.combo, target: target});
+				}
+			}
+		};
+	}
+
+	/**
+	 * Sort nodes to document order
+	 * @private
+	 * @param {Array<Node>} nodes
+	 * @returns {Array<Node>}
+	 */
+	function sortNodes(nodes) {
+		return nodes.sort((a, b) => {
+			if (a === b) {
+				return 0;
+			}
+
+			// 4 is Node.DOCUMENT_POSITION_FOLLOWING
+			return (a.compareDocumentPosition(b) & 4) ? -1 : 1;
+		});
+	}
+
+	/**
+	 * Check if node matches traversal filter - missing filter matches every element
+	 * @private
+	 * @param {Node} node
+	 * @param {string} [selector]
+	 * @returns {boolean}
+	 */
+	function matchesFilter(node, selector) {
+		return node.nodeType === 1 && (selector === undefined || selector === null || node.matches(selector));
+	}
+
+	/**
+	 * Check if node is traversal stop given as selector, Node or DDom
+	 * @private
+	 * @param {Node} node
+	 * @param {string|Node|DDom} [until]
+	 * @returns {boolean}
+	 */
+	function isTraversalStop(node, until) {
+		if (until === undefined || until === null) {
+			return false;
+		}
+
+		if (typeof until === "string") {
+			return node.nodeType === 1 && node.matches(until);
+		}
+
+		return (until instanceof DDom) ? Array.prototype.indexOf.call(until, node) !== -1 : node === until;
+	}
+
+	/**
+	 * Collect nodes from every element with step function to de-duplicated DDom in document order
+	 * Step gets node and returns next node until null or until stop is reached
+	 * @private
+	 * @param {DDom} elements
+	 * @param {function(Node): Node|null} start
+	 * @param {function(Node): Node|null} step
+	 * @param {string} [selector]
+	 * @param {string|Node|DDom} [until]
+	 * @returns {DDom}
+	 */
+	function traverse(elements, start, step, selector, until) {
+		const found = new Set();
+
+		for (const element of elements) {
+			for (let node = start(element); node !== null; node = step(node)) {
+				if (isTraversalStop(node, until)) {
+					break;
+				}
+
+				if (matchesFilter(node, selector)) {
+					found.add(node);
+				}
+			}
+		}
+
+		const result = new DDom();
+
+		result.push(sortNodes(Array.from(found)));
+
+		return withPrevious(result, elements);
+	}
+
+	/**
+	 * Query selector from node and open shadow roots inside it in composed tree order
+	 * @private
+	 * @param {Element|Document|DocumentFragment} root
+	 * @param {string} selector
+	 * @param {boolean} first stop to first match
+	 * @returns {Array<Element>}
+	 */
+	function deepQuery(root, selector, first) {
+		const found = [];
+		const visit = (node) => {
+			if (node.nodeType === 1 && node.shadowRoot) {
+				visitTree(node.shadowRoot);
+			}
+		};
+		const visitTree = (tree) => {
+			for (const element of Array.from(tree.querySelectorAll("*"))) {
+				if (first && found.length > 0) {
+					return;
+				}
+
+				if (element.matches(selector)) {
+					found.push(element);
+				}
+
+				visit(element);
+			}
+		};
+
+		visit(root);
+		visitTree(root);
+
+		return first ? found.slice(0, 1) : found;
+	}
+
+	/**
+	 * Get composed parent - shadow root continues to its host element
+	 * @private
+	 * @param {Node} node
+	 * @returns {Node|null}
+	 */
+	function getComposedParent(node) {
+		const parent = node.parentNode;
+
+		return (parent !== null && parent.nodeType === 11 && parent.host) ? parent.host : parent;
+	}
+
+	/**
+	 * Constructed style sheets by CSS text for each window so many shadow roots share same sheet
+	 * @type {WeakMap<Window, Map<string, CSSStyleSheet>>}
+	 */
+	const constructedSheets = new WeakMap();
+
+	/**
+	 * Adopt style sheets or CSS texts to shadow root or document
+	 * Without constructable style sheets CSS texts are added as style elements
+	 * @private
+	 * @param {ShadowRoot|Document} target
+	 * @param {Array<CSSStyleSheet|string>} styles
+	 */
+	function adoptStyleSheets(target, styles) {
+		const view = getView(target.ownerDocument || target);
+
+		if (!Array.isArray(target.adoptedStyleSheets) || typeof view.CSSStyleSheet !== "function") {
+			for (const style of styles) {
+				const element = (target.ownerDocument || target).createElement("style");
+
+				element.textContent = (typeof style === "string") ? style :
+						Array.from(style.cssRules, (rule) => rule.cssText).join("\n");
+				(target.nodeType === 9 ? target.head : target).appendChild(element);
+			}
+
+			return;
+		}
+
+		if (!constructedSheets.has(view)) {
+			constructedSheets.set(view, new Map());
+		}
+
+		const cache = constructedSheets.get(view);
+		const sheets = styles.map((style) => {
+			if (typeof style !== "string") {
+				return style;
+			}
+
+			if (!cache.has(style)) {
+				const sheet = new view.CSSStyleSheet();
+
+				sheet.replaceSync(style);
+				cache.set(style, sheet);
+			}
+
+			return cache.get(style);
+		});
+
+		target.adoptedStyleSheets = target.adoptedStyleSheets.concat(
+				sheets.filter((sheet) => target.adoptedStyleSheets.indexOf(sheet) === -1));
+	}
+
+	/**
+	 * Set collection that end() returns from result of chained method
+	 * @private
+	 * @param {DDom} result
+	 * @param {DDom} previous
+	 * @returns {DDom}
+	 */
+	function withPrevious(result, previous) {
+		result.prevObject = previous;
+
+		return result;
+	}
+
+	/**
+	 * Get nodes from selector, Node, DDom, collection or array - selector is searched from document
+	 * @private
+	 * @param {string|Node|DDom|NodeList|Array<Node>} items
+	 * @returns {Array<Node>}
+	 */
+	function toNodeArray(items) {
+		if (items === undefined || items === null) {
+			return [];
+		}
+
+		if (typeof items === "string") {
+			return Array.from(getDocument().querySelectorAll(items));
+		}
+
+		if (items instanceof DDom || Array.isArray(items) || isNodeCollection(items)) {
+			return Array.from(items);
+		}
+
+		return (items.nodeType !== undefined) ? [items] : [];
+	}
+
+	/**
+	 * Check if element matches selector, callback, Node, DDom or collection
+	 * @private
+	 * @param {Node} element
+	 * @param {number} index
+	 * @param {string|function(Node, number): boolean|Node|DDom|NodeList|Array<Node>} test
+	 * @returns {boolean}
+	 */
+	function matchesTest(element, index, test) {
+		if (typeof test === "string") {
+			return element.nodeType === 1 && element.matches(test);
+		}
+
+		if (typeof test === "function") {
+			return !!test.call(element, element, index);
+		}
+
+		return toNodeArray(test).indexOf(element) !== -1;
+	}
+
+	/**
+	 * DDom prototype
+	 */
+	DDom.prototype = /**@lends {DDom.prototype}*/{
+		version: 0.3,
+		isDDom: true,
+		length: 0,
+		// Collection before filtering or traversal method - returned by end()
+		prevObject: null,
+		defaultPrevented: false,
+		slice: Array.prototype.slice,
+		splice: Array.prototype.splice,
+
+		/**
+		 * Write error to configured logger
+		 * @param {string} message
+		 */
+		consoleError: function(message) {
+			log("error", message);
+		},
+
+		/**
+		 * Push new elements to this object
+		 * @param {HTMLElement|NodeList|HTMLCollection|Node|DDom|Array<Node>} elements
+		 */
+		push: function(elements) {
+			if (elements.isDDom) {
+				elements = elements.getAll();
+			}
+
+			if (Array.isArray(elements) || isNodeCollection(elements)) {
+				for(let x = 0; x < elements.length; x++) {
+					this[this.length++] = elements[x];
+				}
+
+			} else {
+				this[this.length++] = elements;
+			}
+		},
+
+		/**
+		 * Get Node of this object
+		 * @param {number} [index]
+		 * @returns {HTMLElement|HTMLInputElement|DocumentFragment|HTMLFormElement|undefined}
+		 */
+		get: function(index) {
+			return this[index || 0];
+		},
+
+		/**
+		 * Get new DDom object of given index element
+		 * -1 takes last element of set
+		 * @param {number} [index]
+		 * @returns {DDom}
+		 */
+		eq: function(index) {
+			return withPrevious((index === -1) ? new DDom(this[this.length - 1]) : new DDom(this[index || 0]), this);
+		},
+
+		/**
+		 * Get all current elements as document fragment
+		 * @param {boolean} [clone=false]
+		 * @returns {DocumentFragment}
+		 */
+		getFragment: function(clone) {
+			const frag = getDocument().createDocumentFragment();
+
+			if (clone === true) {
+				for (const element of this) {
+					frag.appendChild(element.cloneNode(true));
+				}
+
+			} else {
+				for (const element of this) {
+					frag.appendChild(element);
+				}
+			}
+
+			return frag;
+		},
+
+		/**
+		 * Get all nodes of this object
+		 * Return value is really just and array but is masked to NodeList for better doc handling and has all
+		 * the methods that exists in arrays too
+		 * @returns {Array<Node>}
+		 */
+		getAll: function() {
+			return this.slice(0);
+		},
+
+		/**
+		 * Get CSS style value
+		 * @param {string} key
+		 * @return {string|boolean}
+		 */
+		getCSS: function(key) {
+			return (this.length !== 0) ? this[0].style[key] : false;
+		},
+
+		/**
+		 * Event binding to element
+		 * Type can have namespaces eg. "click.menu" that can be used with off and trigger
+		 * Besides native events gesture events tap, longpress, swipeleft, swiperight, swipeup, swipedown, panstart,
+		 * panmove and panend can be bind - gesture details like deltas and velocity are in event.detail
+		 * Instead of useCapture options can be given eg. {passive: true, signal: controller.signal} and aborting
+		 * the signal removes the listener. Options {debounce: ms}, {throttle: ms} and {frame: true} limit callback
+		 * calls and off still matches the original callback
+		 * @param {string} type
+		 * @param {Function} callback
+		 * @param {boolean|DDomListenerOptions} [useCapture=false]
+		 * @param {boolean} [once=false]
+		 * @return {DDom}
+		 */
+		eventBind: function(type, callback, useCapture, once) {
+			const parsed = parseEventType(type);
+			const options = getListenerOptions(useCapture);
+
+			for (let element of this) {
+				const handle = {
+					event: parsed.event,
+					namespaces: parsed.namespaces,
+					selector: null,
+					delegated: false,
+					once: once === true || options.once,
+					capture: options.capture,
+					passive: options.passive,
+					signal: options.signal,
+					options: options,
+					callback: callback
+				};
+
+				handle.binder = createBinder(element, handle);
+				handleEventBinding(element, handle);
+			}
+
+			return this;
+		},
+
+		/**
+		 * Click event binding to element
+		 * @param {Function} callback
+		 * @param {boolean|DDomListenerOptions} [useCapture]
+		 * @return {DDom}
+		 */
+		eventClick: function(callback, useCapture) {
+			return this.eventBind('click', callback, useCapture);
+		},
+
+		/**
+		 * Trigger given event with callback once and then destroy listener
+		 * @param {string} type
+		 * @param {Function} callback
+		 * @param {boolean|DDomListenerOptions} [useCapture]
+		 * @return {DDom}
+		 */
+		eventOnce: function(type, callback, useCapture) {
+			return this.eventBind(type, callback, useCapture, true);
+		},
+
+		/**
+		 * Bind event listener to all elements
+		 * Events are space separated and can have namespaces eg. "click.dropdown keyup.dropdown"
+		 * Instead of useCapture options {capture, passive, signal} can be given and aborting the signal removes listeners
+		 * Options {debounce: ms}, {throttle: ms} and {frame: true} limit callback calls
+		 * @param {(string|Array)} events
+		 * @param {(string|Array|Function)} data
+		 * @param {function(Event, DDomEventElements)|boolean|DDomListenerOptions} [callback]
+		 * @param {boolean|DDomListenerOptions} [useCapture]
+		 * @return {DDom}
+		 */
+		on: function(events, data, callback, useCapture) {
+			let hasElements = false;
+
+			if (this.length === 0) {
+				this.consoleError(`Event::on - No elements bind [Events: ${JSON.stringify(events)}] [Data: ${JSON.stringify(data)}]`);
+				return null;
+			}
+
+			if (typeof data === "function") {
+				// Without selector options are given in place of callback
+				if (callback !== undefined && typeof callback !== "function") {
+					useCapture = callback;
+				}
+
+				callback = data;
+
+			} else {
+				hasElements = true;
+			}
+
+			if (typeof callback !== "function") {
+				this.consoleError(`Event::on - No valid callback [Events: ${JSON.stringify(events)}] [Data: ${JSON.stringify(data)}]`);
+				return null;
+			}
+
+			const options = getListenerOptions(useCapture);
+
+			events = events.split(" ");
+			for (const element of this) {
+				for (let x = 0; x < events.length; x++) {
+					const parsed = parseEventType(events[x]);
+					const handle = {
+						event: parsed.event,
+						namespaces: parsed.namespaces,
+						selector: hasElements ? data : null,
+						delegated: true,
+						once: false,
+						// If focus or blur event then useCapture set true - firefox does not work otherwise
+						capture: (parsed.event === 'blur' || parsed.event === 'focus' || options.capture),
+						passive: options.passive,
+						signal: options.signal,
+						options: options,
+						callback: callback
+					};
+
+					handle.binder = createBinder(element, handle);
+					handleEventBinding(element, handle);
+				}
+			}
+
+			return this;
+		},
+
+		/**
+		 * Remove event listeners from elements that has been bind with on
+		 * Event types are space separated and can be namespaced eg. "click.menu" or only namespace ".menu"
+		 * With selector only delegated handlers bind with on for that same selector are removed
+		 * @param {string|undefined} [eventType]
+		 * @param {string|Function} [selector]
+		 * @param {Function} [func]
+		 * @return {DDom}
+		 */
+		off: function(eventType, selector, func) {
+			if (typeof selector === "function") {
+				func = selector;
+				selector = undefined;
+			}
+
+			const types = (eventType === undefined) ? [{event: "", namespaces: []}] :
+					eventType.split(" ").filter((type) => type !== "").map(parseEventType);
+
+			for (const element of this) {
+				if (handlerCache.has(element)) {
+					const handlers = handlerCache.get(element);
+
+					for (const handler of handlers) {
+						const typeMatch = types.some((type) => (type.event === "" || type.event === handler.event) &&
+								matchesNamespaces(handler.namespaces, type.namespaces));
+
+						if (typeMatch && (func === undefined || func === handler.callback) &&
+								(selector === undefined || (handler.selector !== null && String(handler.selector) === String(selector)))) {
+
+							removeEventHandle(element, handler);
+						}
+					}
+				}
+			}
+
+			return this;
+		},
+
+		/**
+		 * Trigger given event on all elements
+		 * Namespaced event eg. "click.menu" only runs handlers bind with all of the given namespaces
+		 * Default is bubbling and cancelable CustomEvent with args as detail. Options eventType creates native event
+		 * instead eg. {eventType: "MouseEvent", clientX: 10} and other options are passed to event init dictionary
+		 * After trigger defaultPrevented tells if any of the handlers called preventDefault
+		 * @param {string} event
+		 * @param {*} [args]
+		 * @param {{
+		 *		eventType: (string|undefined),
+		 *		bubbles: (boolean|undefined),
+		 *		cancelable: (boolean|undefined),
+		 *		composed: (boolean|undefined),
+		 *		detail: (*|undefined)
+		 * }} [options]
+		 * @return {DDom}
+		 */
+		trigger: function(event, args, options) {
+			const parsed = parseEventType(event);
+
+			options = options || Object.create(null);
+
+			const eventType = options.eventType || "CustomEvent";
+
+			this.defaultPrevented = false;
+
+			if (parsed.event === "") {
+				this.consoleError(`Event::trigger - No event name [Event: ${event}]`);
+				return this;
+			}
+
+			if (triggerEventTypes.indexOf(eventType) === -1) {
+				this.consoleError(`Event::trigger - Unsupported event type [Event: ${event}] [Type: ${eventType}]`);
+				return this;
+			}
+
+			const init = Object.assign({}, options, {
+				bubbles: options.bubbles !== false,
+				cancelable: options.cancelable !== false,
+				composed: options.composed === true
+			});
+
+			delete init.eventType;
+
+			// Native UI events have numeric detail so args are only used as CustomEvent detail
+			if (eventType === "CustomEvent" && !("detail" in options)) {
+				init.detail = args;
+			}
+
+			for (const element of this) {
+				// Event has to be created by the same window that owns the element
+				const view = getView(element);
+				let eventObject;
+
+				if (typeof view[eventType] === "function") {
+					eventObject = new view[eventType](parsed.event, init);
+
+				} else if (eventType === "CustomEvent") {
+					eventObject = getDocument().createEvent("CustomEvent");
+					eventObject.initCustomEvent(parsed.event, init.bubbles, init.cancelable, init.detail);
+
+				} else {
+					this.consoleError(`Event::trigger - Event type not supported by browser [Type: ${eventType}]`);
+					return this;
+				}
+
+				// noinspection JSUndefinedPropertyAssignment
+				eventObject.eventName = event;
+
+				if (parsed.namespaces.length > 0) {
+					// noinspection JSUndefinedPropertyAssignment
+					eventObject.namespaces = parsed.namespaces;
+				}
+
+				if (element.dispatchEvent(eventObject) === false) {
+					this.defaultPrevented = true;
+				}
+			}
+
+			return this;
+		},
+
+		/**
+		 * Bind keyboard shortcuts to elements - shortcuts are active only while focus is inside element
+		 * Keys are comma separated and can be key sequences eg. "ctrl+s, meta+s" or "g i"
+		 * Modifiers ctrl, alt, shift, meta and "mod" that is meta on Apple platforms and ctrl elsewhere
+		 * Form fields and content editable are skipped unless inInputs option is set
+		 * @param {string} keys
+		 * @param {function(KeyboardEvent, {combo: string, target: DDom})} callback
+		 * @param {{
+		 *		inInputs: (boolean|undefined),
+		 *		preventDefault: (boolean|undefined),
+		 *		sequenceTimeout: (number|undefined),
+		 *		capture: (boolean|undefined),
+		 *		signal: (AbortSignal|undefined)
+		 * }} [options]
+		 * @return {DDom}
+		 */
+		hotkey: function(keys, callback, options) {
+			options = options || Object.create(null);
+
+			if (typeof callback !== "function") {
+				this.consoleError(`Event::hotkey - No valid callback [Keys: ${keys}]`);
+				return this;
+			}
+
+			const listener = createHotkeyListener(keys, callback, {
+				inInputs: options.inInputs === true,
+				preventDefault: options.preventDefault !== false,
+				sequenceTimeout: options.sequenceTimeout || 1000
+			});
+
+			this.eventBind("keydown.hotkey", listener, {capture: options.capture === true, signal: options.signal});
+
+			for (const element of this) {
+				hotkeyBindings.add({element: element, keys: keys, callback: callback, listener: listener});
+			}
+
+			return this;
+		},
+
+		/**
+		 * Remove keyboard shortcuts bind with hotkey - without keys or callback all matching hotkeys are removed
+		 * @param {string} [keys]
+		 * @param {Function} [callback]
+		 * @return {DDom}
+		 */
+		unhotkey: function(keys, callback) {
+			for (const element of this) {
+				for (const binding of hotkeyBindings) {
+					if (binding.element === element && (keys === undefined || binding.keys === keys) &&
+							(callback === undefined || binding.callback === callback)) {
+						new DDom(element).off("keydown.hotkey", binding.listener);
+						hotkeyBindings.delete(binding);
+					}
+				}
+			}
+
+			return this;
+		},
+
+		/**
+		 * Destroys current node and creates new clone that is free from events and content
+		 * @return {DDom}
+		 */
+		clear: function() {
+			for (const [index, element] of this.slice(0).entries()) {
+				const parent = element.parentNode;
+
+				// If node has been removed from the tree then there is no parentNode
+				if (parent !== null) {
+					const clone = element.cloneNode(false);
+					parent.replaceChild(clone, element);
+
+					this[index] = clone;
+				}
+			}
+
+			return this;
+		},
+
+		/**
+		 * Clones current elements and returns
+		 * Options withEvents copies event handlers bind with DDom and withData copies lifecycle hooks and signal
+		 * bindings to clones and their descendants
+		 * @param {boolean|{deep: (boolean|undefined), withEvents: (boolean|undefined), withData: (boolean|undefined)}} [deep=false]
+		 * @return {DDom}
+		 */
+		clone: function(deep) {
+			const clone = new DDom();
+
+			for (const element of this) {
+				clone.push(cloneWithState(element, deep, deep === true));
+			}
+
+			return clone;
+		},
+
+		/**
+		 * Clears current element content
+		 * @return {DDom}
+		 */
+		empty: function() {
+			for (const element of this) {
+				element.textContent = "";
+			}
+
+			return this;
+		},
+
+		/**
+		 * Render items as children of every element and reuse existing children by key
+		 * Children that were created by renderList or have data-key attribute are matched with keyFn result, nodes
+		 * of removed items and other children are removed and only nodes that are out of order are moved so focus,
+		 * caret and scroll positions are kept
+		 * @example $DDom.getId('list').renderList(rows, (row) => row.id, (row) => $DDom('li').setText(row.name),
+		 *		(li, row) => li.setText(row.name))
+		 * @param {Array<*>} items
+		 * @param {(function(*, number): (string|number)|string)} keyFn key function or name of key property
+		 * @param {function(*, number): (DDom|Node|string)} createFn
+		 * @param {function(DDom, *, number)} [updateFn] called for reused nodes
+		 * @return {DDom}
+		 */
+		renderList: function(items, keyFn, createFn, updateFn) {
+			const getKey = (typeof keyFn === "string") ? (item) => item[keyFn] : keyFn;
+
+			if (typeof getKey !== "function" || typeof createFn !== "function") {
+				log("error", "renderList - keyFn and createFn are required");
+				return this;
+			}
+
+			for (const element of this) {
+				reconcileList(element, Array.from(items || []), getKey, createFn, updateFn);
+			}
+
+			return this;
+		},
+
+		/**
+		 * Patch element in place to match new content instead of replacing it like html
+		 * Nodes are reused so focus, caret, scroll, form values and event handlers stay. Elements are matched with
+		 * id or data-key attribute or key option and other nodes by tag in order. With outer option new content root
+		 * element is morphed to element itself instead of its children
+		 * @example $DDom.getId('cart').morph(responseHtml, {preserve: (node) => node.classList.contains('toast')})
+		 * @param {string|DDom|Node} newContent
+		 * @param {{
+		 *		outer: (boolean|undefined),
+		 *		key: (function(Node): (string|null)|undefined),
+		 *		skip: (function(Node, Node): boolean|undefined),
+		 *		preserve: (function(Node): boolean|undefined)
+		 * }} [options] skip returning true leaves node as it is and preserve returning true keeps node that is missing
+		 * from new content
+		 * @return {DDom}
+		 */
+		morph: function(newContent, options) {
+			options = Object.assign({key: getMorphKey}, options);
+
+			const content = getMorphContent(newContent);
+
+			for (const [index, element] of Array.from(this).entries()) {
+				// Every element gets own copy of new content because nodes are moved to elements
+				const target = (index === this.length - 1) ? content : content.cloneNode(true);
+
+				if (!options.outer) {
+					morphChildren(element, target, options);
+					continue;
+				}
+
+				const root = getTopLevelNodes(target).filter((node) => node.nodeType === 1);
+
+				if (root.length !== 1 || !isSameNodeKind(element, root[0])) {
+					log("error", "morph - Outer content has to be one element of same tag");
+					continue;
+				}
+
+				morphNode(element, root[0], options);
+			}
+
+			return this;
+		},
+
+		/**
+		 * Remove focus from element
+		 * @return {DDom}
+		 */
+		blur: function() {
+			if (this[0] && this[0].nodeType === 1) {
+				this[0].blur();
+			}
+
+			return this;
+		},
+
+		/**
+		 * Parse DDom Node or string to return Node element
+		 * @param {DDom|Node|string} node
+		 * @return Node
+		 */
+		parseToNode: function(node) {
+			if (node instanceof DDom) {
+				switch (node.length) {
+					case 1:
+						return node[0];
+
+					case 0:
+						return getDocument().createTextNode('');
+
+					default:
+						return node.getFragment();
+				}
+			}
+
+			if (node !== null && typeof node === "object" && node.nodeType !== undefined) {
+				return node;
+			}
+
+			if (typeof node === 'string') {
+				return getDocument().createTextNode(node);
+			}
+		},
+
+		/**
+		 * Insert node before element
+		 * Default adds node to only first element and keeps events etc
+		 * If cloneToAll is used then all nodes will receive cloned element that wont include event listeners or properties
+		 * unless cloneToAll is options object {withEvents: true, withData: true} where withData copies lifecycle hooks
+		 * and signal bindings
+		 * @param {(DDom|HTMLElement|Node)} node
+		 * @param {boolean|{withEvents: (boolean|undefined), withData: (boolean|undefined)}} cloneToAll
+		 * @return {DDom}
+		 */
+		after: function(node, cloneToAll = false) {
+			if (this.length > 0) {
+				// Parse parameter Node element
+				node = this.parseToNode(node);
+
+				if (cloneToAll) {
+					for (const index of this.slice(0).keys()) {
+						// clone node so all elements can use it and each index has it's own elements
+						const cloneNode = cloneWithState(node, cloneToAll, true);
+						this[index].parentNode.insertBefore(cloneNode, this[index].nextSibling);
+					}
+
+				} else {
+					this[0].parentNode.insertBefore(node, this[0].nextSibling);
+				}
+			}
+
+			return this;
+		},
+
+		/**
+		 * Insert node before parent element
+		 * Default adds node to only first element and keeps events etc
+		 * If cloneToAll is used then all nodes will receive cloned element that wont include event listeners or properties
+		 * unless cloneToAll is options object {withEvents: true, withData: true} where withData copies lifecycle hooks
+		 * and signal bindings
+		 * @param {DDom|HTMLElement|Node} node
+		 * @param {boolean|{withEvents: (boolean|undefined), withData: (boolean|undefined)}} cloneToAll
+		 * @return {DDom}
+		 */
+		before: function(node, cloneToAll = false) {
+			if (this.length > 0) {
+				// Parse parameter Node element
+				node = this.parseToNode(node);
+
+				if (cloneToAll) {
+					for (const index of this.slice(0).keys()) {
+						// clone node so all elements can use it and each index has it's own elements
+						const cloneNode = cloneWithState(node, cloneToAll, true);
+						this[index].parentNode.insertBefore(cloneNode, this[index]);
+					}
+
+				} else {
+					this[0].parentNode.insertBefore(node, this[0]);
+				}
+			}
+
+			return this;
+		},
+
+		/**
+		 * Append child Node
+		 * Default adds node to only first element and keeps events etc
+		 * If cloneToAll is used then all nodes will receive cloned element that wont include event listeners or properties
+		 * unless cloneToAll is options object {withEvents: true, withData: true} where withData copies lifecycle hooks
+		 * and signal bindings
+		 * @param {Node|DDom|string|number} node
+		 * @param {boolean|{withEvents: (boolean|undefined), withData: (boolean|undefined)}} cloneToAll
+		 * @return {DDom}
+		 */
+		append: function(node, cloneToAll = false) {
+			if (this.length > 0) {
+				// Parse parameter Node element
+				node = this.parseToNode(node);
+
+				if (cloneToAll) {
+					for (const index of this.slice(0).keys()) {
+						// clone node so all elements can use it and each index has it's own elements
+						const cloneNode = cloneWithState(node, cloneToAll, true);
+						this[index].appendChild(cloneNode);
+					}
+
+				} else {
+					this[0].appendChild(node);
+				}
+			}
+
+			return this;
+		},
+
+		/**
+		 * Prepend Node before given element
+		 * Default adds node to only first element and keeps events etc
+		 * If cloneToAll is used then all nodes will receive cloned element that wont include event listeners or properties
+		 * unless cloneToAll is options object {withEvents: true, withData: true} where withData copies lifecycle hooks
+		 * and signal bindings
+		 * @param {DDom|Node|string} node
+		 * @param {boolean|{withEvents: (boolean|undefined), withData: (boolean|undefined)}} cloneToAll
+		 * @returns {DDom}
+		 */
+		prepend: function(node, cloneToAll = false) {
+			if (this.length > 0) {
+				// Parse parameter Node element
+				node = this.parseToNode(node);
+
+				if (cloneToAll) {
+					for (const index of this.slice(0).keys()) {
+						// clone node so all elements can use it and each index has it's own elements
+						const cloneNode = cloneWithState(node, cloneToAll, true);
+						this[index].insertBefore(cloneNode, this[index].firstChild);
+					}
+
+				} else {
+					this[0].insertBefore(node, this[0].firstChild);
+				}
+			}
+
+			return this;
+		},
+
+		/**
+		 * Replace elements with given node
+		 * Default adds node to only first element and keeps events etc
+		 * If cloneToAll is used then all nodes will receive cloned element that wont include event listeners or properties
+		 * unless cloneToAll is options object {withEvents: true, withData: true} where withData copies lifecycle hooks
+		 * and signal bindings
+		 * @param {DDom|Node|string} node
+		 * @param {boolean|{withEvents: (boolean|undefined), withData: (boolean|undefined)}} cloneToAll
+		 * @return {DDom}
+		 */
+		replace: function(node, cloneToAll = false) {
+			if (this.length > 0) {
+				// Parse parameter Node element
+				node = this.parseToNode(node);
+
+				if (cloneToAll) {
+					for (const index of this.slice(0).keys()) {
+						const parent = this[index].parentNode;
+
+						if (parent !== null) {
+							// clone node so all elements can use it and each index has it's own elements
+							const cloneNode = cloneWithState(node, cloneToAll, true);
+							parent.replaceChild(cloneNode, this[index]);
+							this[index] = cloneNode;
+						}
+					}
+
+				} else {
+					const parent = this[0].parentNode;
+
+					if (parent !== null) {
+						parent.replaceChild(node, this[0]);
+						this[0] = node;
+					}
+				}
+			}
+
+			return this;
+		},
+
+		/**
+		 * document.createElement with declarative builder parameters
+		 * children: nested specs {tag, ...parameters} or [tag, parameters], strings, numbers, Nodes or DDom objects
+		 * text: text content
+		 * class: string, array of class names or object map {className: boolean}
+		 * style: css string or object of style properties
+		 * dataset: object of data attributes
+		 * props: object of properties that are set to element instead of attributes eg. {value: "x", checked: true}
+		 * on: object of event handlers {type: callback} or {type: [callback, options]} bind with eventBind
+		 * event: {type, action} or array of them also bind with eventBind
+		 * ns: namespace "html", "svg", "mathml" or namespace URI - known SVG and MathML tags and children of SVG and
+		 * MathML elements get their namespace automatically
+		 * Other keys are attributes - HTML boolean attributes like disabled are set empty when true and left out when
+		 * false, other attributes get true and false as strings, null or undefined skips attribute
+		 * text is set before children so when both are given children come after text
+		 * @param {string} element
+		 * @param {{
+		 *		ns: (string|undefined),
+		 *		children: (Array<Object|Array|string|number|Node|DDom>|undefined),
+		 *		text: (string|number|undefined),
+		 *		class: (string|Array<string>|Object<string, boolean>|undefined),
+		 *		style: (string|Object<string, string>|undefined),
+		 *		dataset: (Object<string, string>|undefined),
+		 *		props: (Object<string, *>|undefined),
+		 *		on: (Object<string, (Function|Array)>|undefined),
+		 *		event: ({
+		 *			action: Function,
+		 *			type: string
+		 *		}|Array|undefined)
+		 * }} [parameters]
+		 * @returns {HTMLElement|SVGElement|Element}
+		 */
+		ce: function(element, parameters) {
+			parameters = parameters || Object.create(null);
+
+			const namespace = getNamespaceURI(element, parameters.ns);
+			const ret = (namespace === null) ? getDocument().createElement(element) :
+					getDocument().createElementNS(namespace, element);
+			const wrapped = new DDom(ret);
+
+			if (parameters.text !== undefined && parameters.text !== null) {
+				ret.textContent = parameters.text;
+			}
+
+			for (const key of Object.keys(parameters)) {
+				const value = parameters[key];
+
+				switch (key) {
+					case "ns":
+					case "text":
+						break;
+
+					case "event":
+						for (const data of (Array.isArray(value) ? value : [value])) {
+							wrapped.eventBind(data.type, /**string*/data.action);
+						}
+						break;
+
+					case "on":
+						for (const type of Object.keys(value)) {
+							const handler = Array.isArray(value[type]) ? value[type] : [value[type]];
+							wrapped.eventBind(type, handler[0], handler[1]);
+						}
+						break;
+
+					case "children":
+						for (const child of value) {
+							appendSpec(ret, child);
+						}
+						break;
+
+					case "class":
+						setClassSpec(ret, value);
+						break;
+
+					case "style":
+						if (value !== null && typeof value === "object") {
+							wrapped.css(value);
+						} else {
+							ret.setAttribute(key, value);
+						}
+						break;
+
+					case "dataset":
+						for (const name of Object.keys(value)) {
+							ret.dataset[name] = value[name];
+						}
+						break;
+
+					case "props":
+						for (const name of Object.keys(value)) {
+							ret[name] = value[name];
+						}
+						break;
+
+					default:
+						if (value === null || value === undefined) {
+							break;
+						}
+
+						// Boolean attributes exist when true and are left out when false
+						if (namespace === null && booleanAttributes.has(key.toLowerCase()) && typeof value === "boolean") {
+							if (value) {
+								ret.setAttribute(key, "");
+							}
+
+						} else {
+							setAttributeNS(ret, key, String(value));
+						}
+				}
+			}
+
+			return ret;
+		},
+
+		/**
+		 * Search closest Node that matches given selector
+		 * @param {string} tag
+		 * @param {Element} [until]
+		 * @returns {DDom}
+		 */
+		closest: function(tag, until) {
+			if (this[0]) {
+				let element = this[0];
+
+				do {
+					if (element.nodeType === 1 && element.matches(tag)) {
+						return new DDom(element);
+					}
+
+					// If until is element check that we don't go further than that
+					if (until !== undefined && until === element) {
+						break;
+					}
+
+					element = element.parentNode;
+
+				} while (element !== null);
+			}
+
+			return new DDom();
+		},
+
+		/**
+		 * Search closest Node that matches given selector and continue from shadow roots to their host elements
+		 * @param {string} selector
+		 * @returns {DDom}
+		 */
+		closestDeep: function(selector) {
+			for (let element = this[0] || null; element !== null; element = getComposedParent(element)) {
+				if (element.nodeType === 1 && element.matches(selector)) {
+					return new DDom(element);
+				}
+			}
+
+			return new DDom();
+		},
+
+		/**
+		 * Search closest tag from current element
+		 * @param {string} className
+		 * @returns {DDom}
+		 */
+		closestClass: function(className) {
+			if (this[0]) {
+				let element = this[0];
+
+				do {
+					if (element.classList) {
+						if (element.classList.contains(className)) {
+							return new DDom(element);
+						}
+
+					} else {
+						if ((" " + getClassName(element) + " ").replace(/[\n\t\r]/g, " ").indexOf(" " + className + " ") > -1) {
+							return new DDom(element);
+						}
+					}
+
+					element = element.parentNode;
+
+				} while (element !== null);
+			}
+
+			return new DDom();
+		},
+
+		/**
+		 * QuerySelector search
+		 * @param {string} search
+		 * @param {HTMLElement|Document} [secondElement]
+		 * @returns {DDom}
+		 */
+		qs: function(search, secondElement) {
+			if ((this[0] !== undefined || secondElement !== undefined) && search !== "") {
+				return new DDom((this[0] || secondElement).querySelector(search));
+			}
+
+			return new DDom();
+		},
+
+		/**
+		 * QuerySelector search
+		 * @param {string} search
+		 * @param {HTMLElement|Document} [secondElement]
+		 * @return {DDom}
+		 */
+		qsAll: function(search, secondElement) {
+			if ((this[0] !== undefined || secondElement !== undefined) && search !== "") {
+				return new DDom((this[0] || secondElement).querySelectorAll(search));
+			}
+
+			return new DDom();
+		},
+
+		/**
+		 * QuerySelector search that also searches inside open shadow roots
+		 * @param {string} search
+		 * @param {HTMLElement|Document} [secondElement]
+		 * @returns {DDom}
+		 */
+		qsDeep: function(search, secondElement) {
+			if ((this[0] !== undefined || secondElement !== undefined) && search !== "") {
+				const result = new DDom();
+
+				result.push(deepQuery(this[0] || secondElement, search, true));
+
+				return result;
+			}
+
+			return new DDom();
+		},
+
+		/**
+		 * QuerySelectorAll search that also searches inside open shadow roots
+		 * Shadow root content comes right after its host element
+		 * @param {string} search
+		 * @param {HTMLElement|Document} [secondElement]
+		 * @returns {DDom}
+		 */
+		qsAllDeep: function(search, secondElement) {
+			if ((this[0] !== undefined || secondElement !== undefined) && search !== "") {
+				const result = new DDom();
+
+				result.push(deepQuery(this[0] || secondElement, search, false));
+
+				return result;
+			}
+
+			return new DDom();
+		},
+
+		/**
+		 * Search if given node exists in current object node or inside shadow roots in it
+		 * @param {DDom|Node} search
+		 * @returns {boolean}
+		 */
+		containsDeep: function(search) {
+			search = (search && search.isDDom) ? search.get() : search;
+
+			for (let node = search || null; node !== null && this[0]; node = getComposedParent(node)) {
+				if (node === this[0]) {
+					return true;
+				}
+			}
+
+			return false;
+		},
+
+		/**
+		 * Attach shadow root to every element or use existing open shadow root
+		 * @param {{mode: (string|undefined), delegatesFocus: (boolean|undefined), slotAssignment: (string|undefined)}} [options]
+		 * mode is open by default
+		 * @returns {DDom} shadow roots
+		 */
+		attachShadow: function(options) {
+			const roots = new DDom();
+
+			for (const element of this) {
+				if (element.nodeType !== 1) {
+					continue;
+				}
+
+				try {
+					roots.push(element.shadowRoot || element.attachShadow(Object.assign({mode: "open"}, options)));
+
+				} catch(/*DOMException*/e) {
+					log("error", `attachShadow - ${e.message} [Element: ${element.nodeName}]`);
+				}
+			}
+
+			return withPrevious(roots, this);
+		},
+
+		/**
+		 * Adopt style sheets to shadow roots or document - elements use their open shadow root
+		 * CSS text is turned to shared constructed style sheet or style element when those are not supported
+		 * @param {...(CSSStyleSheet|string)} styles
+		 * @returns {DDom}
+		 */
+		adoptStyles: function(...styles) {
+			for (const node of this) {
+				const target = (node.nodeType === 1) ? node.shadowRoot : node;
+
+				if (!target || (target.nodeType !== 9 && target.nodeType !== 11)) {
+					log("error", "adoptStyles - Element does not have open shadow root");
+					continue;
+				}
+
+				adoptStyleSheets(target, styles);
+			}
+
+			return this;
+		},
+
+		/**
+		 * Search if given node exists in current object node
+		 * @param {DDom|HTMLElement|HTMLDocument} search
+		 * @returns {boolean}
+		 */
+		contains: function(search) {
+			// IE fix where document does not have contains function so go to document.body
+			const document = getDocument();
+			const node = (this[0] === document) ? document.body : this[0];
+
+			search = (search.isDDom) ? search.get() : search;
+
+			if (node && node.nodeType === 1) {
+				// Because IE does not have contains in document we have to always handle document.body because
+				// document.contains(document) would give true so after change from document to document.body
+				// in source node, we have to do same thing for the searched element also
+				return node.contains((search === document) ? document.body : search);
+			}
+
+			return false;
+		},
+
+		/**
+		 * Set focus to element
+		 * @return {DDom}
+		 */
+		focus: function() {
+			if (this[0] && this[0].nodeType === 1) {
+				this[0].focus();
+
+				// Set cursor to the end
+				const length = this[0].value.length;
+				this[0].setSelectionRange(length, length);
+			}
+
+			return this;
+		},
+
+		/**
+		 * Set focus to first focusable element
+		 * @return {DDom}
+		 */
+		focusFirstFocusable: function() {
+			const focusable = this.qsAll('a:not([disabled]), button:not([disabled]), input:not([disabled]),' +
+					' [tabindex]:not([disabled]):not([tabindex="-1"])');
+
+			if (focusable.length > 0) {
+				focusable[0].focus();
+			}
+
+			return this;
+		},
+
+		/**
+		 * Iterate through all elements
+		 * @param {Function} callback
+		 * @return {DDom}
+		 */
+		forEach: function(callback) {
+			for (const [index, element] of this.slice(0).entries()) {
+				callback.call(element, element, index);
+			}
+
+			return this;
+		},
+
+		/**
+		 * Map through elements in array like ES5 Array function map
+		 * @param {Function} callback
+		 * @return {Array}
+		 */
+		map: function(callback) {
+			const ret = [];
+
+			for (const element of this) {
+				ret.push(callback.call(element, element));
+			}
+
+			return ret;
+		},
+
+		/**
+		 * Elements that match selector or that callback accepts
+		 * @param {string|function(Node, number): boolean|Node|DDom} test
+		 * @return {DDom}
+		 */
+		filter: function(test) {
+			const result = new DDom();
+
+			result.push(this.slice(0).filter((element, index) => matchesTest(element, index, test)));
+
+			return withPrevious(result, this);
+		},
+
+		/**
+		 * Elements that don't match selector or that callback does not accept
+		 * @param {string|function(Node, number): boolean|Node|DDom} test
+		 * @return {DDom}
+		 */
+		not: function(test) {
+			const result = new DDom();
+
+			result.push(this.slice(0).filter((element, index) => !matchesTest(element, index, test)));
+
+			return withPrevious(result, this);
+		},
+
+		/**
+		 * Elements that have descendant that matches selector or is given node
+		 * @param {string|Node|DDom} search
+		 * @return {DDom}
+		 */
+		has: function(search) {
+			const result = new DDom();
+			const nodes = (typeof search === "string") ? null : toNodeArray(search);
+
+			result.push(this.slice(0).filter((element) => (nodes === null) ?
+					typeof element.querySelector === "function" && element.querySelector(search) !== null :
+					nodes.some((node) => node !== element && element.contains(node))));
+
+			return withPrevious(result, this);
+		},
+
+		/**
+		 * Check if any element matches selector or callback
+		 * @param {string|function(Node, number): boolean|Node|DDom} test
+		 * @return {boolean}
+		 */
+		is: function(test) {
+			return this.slice(0).some((element, index) => matchesTest(element, index, test));
+		},
+
+		/**
+		 * Reduce elements to value like Array reduce
+		 * @param {function(*, Node, number): *} callback
+		 * @param {*} [initial]
+		 * @return {*}
+		 */
+		reduce: function(callback, initial) {
+			const elements = this.slice(0);
+
+			return (arguments.length > 1) ? elements.reduce(callback, initial) : elements.reduce(callback);
+		},
+
+		/**
+		 * Check if callback accepts some element
+		 * @param {function(Node, number): boolean} callback
+		 * @return {boolean}
+		 */
+		some: function(callback) {
+			return this.slice(0).some((element, index) => !!callback.call(element, element, index));
+		},
+
+		/**
+		 * Check if callback accepts every element
+		 * @param {function(Node, number): boolean} callback
+		 * @return {boolean}
+		 */
+		every: function(callback) {
+			return this.slice(0).every((element, index) => !!callback.call(element, element, index));
+		},
+
+		/**
+		 * Without parameter index of first element among its sibling elements, with selector index of first element
+		 * in elements that match selector and with Node or DDom index of that node in this collection
+		 * @param {string|Node|DDom} [search]
+		 * @return {number}
+		 */
+		index: function(search) {
+			if (search === undefined) {
+				return (this[0] && this[0].parentNode) ? Array.prototype.indexOf.call(this[0].parentNode.children,
+						this[0]) : -1;
+			}
+
+			if (typeof search === "string") {
+				return (this[0]) ? toNodeArray(search).indexOf(this[0]) : -1;
+			}
+
+			return this.slice(0).indexOf(toNodeArray(search)[0]);
+		},
+
+		/**
+		 * Union of elements and given elements without duplicates in document order
+		 * @param {string|Node|DDom|NodeList|Array<Node>} items selector is searched from document
+		 * @return {DDom}
+		 */
+		add: function(items) {
+			const result = new DDom();
+
+			result.push(sortNodes(Array.from(new Set(this.slice(0).concat(toNodeArray(items))))));
+
+			return withPrevious(result, this);
+		},
+
+		/**
+		 * Alias of add
+		 * @param {string|Node|DDom|NodeList|Array<Node>} items
+		 * @return {DDom}
+		 */
+		union: function(items) {
+			return this.add(items);
+		},
+
+		/**
+		 * Elements that are also in given elements
+		 * @param {string|Node|DDom|NodeList|Array<Node>} items selector is searched from document
+		 * @return {DDom}
+		 */
+		intersect: function(items) {
+			const nodes = new Set(toNodeArray(items));
+			const result = new DDom();
+
+			result.push(Array.from(new Set(this.slice(0).filter((element) => nodes.has(element)))));
+
+			return withPrevious(result, this);
+		},
+
+		/**
+		 * Elements that are not in given elements
+		 * @param {string|Node|DDom|NodeList|Array<Node>} items selector is searched from document
+		 * @return {DDom}
+		 */
+		difference: function(items) {
+			const nodes = new Set(toNodeArray(items));
+			const result = new DDom();
+
+			result.push(Array.from(new Set(this.slice(0).filter((element) => !nodes.has(element)))));
+
+			return withPrevious(result, this);
+		},
+
+		/**
+		 * Elements without duplicates in current order
+		 * @return {DDom}
+		 */
+		unique: function() {
+			const result = new DDom();
+
+			result.push(Array.from(new Set(this)));
+
+			return withPrevious(result, this);
+		},
+
+		/**
+		 * Elements sorted to document order
+		 * @return {DDom}
+		 */
+		sortDocumentOrder: function() {
+			const result = new DDom();
+
+			result.push(sortNodes(this.slice(0)));
+
+			return withPrevious(result, this);
+		},
+
+		/**
+		 * Return to collection that was used before last filtering or traversal method in chain
+		 * @example $DDom.qsAll('li').filter('.active').addClass('x').end().removeClass('y')
+		 * @return {DDom}
+		 */
+		end: function() {
+			return this.prevObject || new DDom();
+		},
+
+		/**
+		 * set css
+		 * @param {Object} attributes
+		 * @return {DDom}
+		 */
+		css: function(attributes) {
+			for (const element of this) {
+				if (element.nodeType === 1) {
+					for (const key of Object.keys(attributes)) {
+						element.style[key] = attributes[key];
+					}
+				}
+			}
+
+			return this;
+		},
+
+		/**
+		 * Get this nodes parent node
+		 * @returns {DDom}
+		 */
+		parent: function(steps) {
+			let element;
+
+			steps = steps || 1;
+
+			if (this.length !== 0) {
+				steps--;
+				element = this[0].parentNode;
+
+				while (steps > 0) {
+					element = element.parentNode;
+					steps--;
+				}
+			}
+
+			return new DDom(element);
+		},
+
+		/**
+		 * Matches selector
+		 * @param {string} attribute
+		 * @returns {boolean}
+		 */
+		matches: function(attribute) {
+			return !!(this[0] && this[0].nodeType === 1 && this[0].matches(attribute));
+		},
+
+		/**
+		 * Matches selector
+		 * @param {string} attribute
+		 * @returns {DDom}
+		 */
+		matchesAll: function(attribute) {
+			const matching = new DDom();
+
+			for (const element of this) {
+				if (element.nodeType === 1 && element.matches(attribute)) {
+					matching.push(element);
+				}
+			}
+
+			return withPrevious(matching, this);
+		},
+
+		/**
+		 * Next element sibling
+		 * @returns {DDom}
+		 */
+		next: function() {
+			if (this[0] && this[0].nodeType === 1) {
+				let element = this[0].nextElementSibling;
+				if (element !== null) {
+					return new DDom(element);
+				}
+			}
+
+			return new DDom();
+		},
+
+		/**
+		 * Get last element child
+		 * @returns {DDom}
+		 */
+		last: function() {
+			if (this[0] && this[0].nodeType === 1) {
+				let element = this[0].lastElementChild;
+				if (element !== null) {
+					return new DDom(element);
+				}
+			}
+
+			return new DDom();
+		},
+
+		/**
+		 * Previous element sibling
+		 * @returns {DDom}
+		 */
+		prev: function() {
+			if (this[0] && this[0].nodeType === 1) {
+				let element = this[0].previousElementSibling;
+				if (element !== null) {
+					return new DDom(element);
+				}
+			}
+
+			return new DDom();
+		},
+
+		/**
+		 * Ancestor elements of every element
+		 * @param {string} [selector] filter
+		 * @returns {DDom}
+		 */
+		parents: function(selector) {
+			return traverse(this, (node) => node.parentNode, (node) => node.parentNode, selector);
+		},
+
+		/**
+		 * Ancestor elements of every element up to but not including element that matches until
+		 * @param {string|Node|DDom} until
+		 * @param {string} [selector] filter
+		 * @returns {DDom}
+		 */
+		parentsUntil: function(until, selector) {
+			return traverse(this, (node) => node.parentNode, (node) => node.parentNode, selector, until);
+		},
+
+		/**
+		 * Sibling elements of every element - element is not its own sibling but can be sibling of other element
+		 * @param {string} [selector] filter
+		 * @returns {DDom}
+		 */
+		siblings: function(selector) {
+			const siblings = new DDom();
+
+			for (const element of this) {
+				siblings.push(traverse(new DDom(element), (node) => node.previousSibling, (node) => node.previousSibling,
+						selector));
+				siblings.push(traverse(new DDom(element), (node) => node.nextSibling, (node) => node.nextSibling,
+						selector));
+			}
+
+			return withPrevious(traverse(siblings, (node) => node, () => null), this);
+		},
+
+		/**
+		 * Child elements of every element
+		 * @param {string} [selector] filter
+		 * @returns {DDom}
+		 */
+		children: function(selector) {
+			return traverse(this, (node) => node.firstChild, (node) => node.nextSibling, selector);
+		},
+
+		/**
+		 * First element child of every element
+		 * @param {string} [selector] first child that matches selector
+		 * @returns {DDom}
+		 */
+		first: function(selector) {
+			const result = new DDom();
+
+			for (const element of this) {
+				const child = Array.from(element.children || []).find((node) => matchesFilter(node, selector));
+
+				if (child !== undefined) {
+					result.push(child);
+				}
+			}
+
+			return withPrevious(traverse(result, (node) => node, () => null), this);
+		},
+
+		/**
+		 * All following sibling elements of every element
+		 * @param {string} [selector] filter
+		 * @returns {DDom}
+		 */
+		nextAll: function(selector) {
+			return traverse(this, (node) => node.nextSibling, (node) => node.nextSibling, selector);
+		},
+
+		/**
+		 * All previous sibling elements of every element
+		 * @param {string} [selector] filter
+		 * @returns {DDom}
+		 */
+		prevAll: function(selector) {
+			return traverse(this, (node) => node.previousSibling, (node) => node.previousSibling, selector);
+		},
+
+		/**
+		 * Following sibling elements of every element up to but not including element that matches until
+		 * @param {string|Node|DDom} until
+		 * @param {string} [selector] filter
+		 * @returns {DDom}
+		 */
+		nextUntil: function(until, selector) {
+			return traverse(this, (node) => node.nextSibling, (node) => node.nextSibling, selector, until);
+		},
+
+		/**
+		 * Previous sibling elements of every element up to but not including element that matches until
+		 * @param {string|Node|DDom} until
+		 * @param {string} [selector] filter
+		 * @returns {DDom}
+		 */
+		prevUntil: function(until, selector) {
+			return traverse(this, (node) => node.previousSibling, (node) => node.previousSibling, selector, until);
+		},
+
+		/**
+		 * Descendant elements of every element that match selector
+		 * With callback first element in collection that callback accepts like Array find
+		 * @param {string|function(Node, number): boolean} selector
+		 * @returns {DDom}
+		 */
+		find: function(selector) {
+			const result = new DDom();
+
+			if (typeof selector === "function") {
+				const found = this.slice(0).find((element, index) => selector.call(element, element, index));
+
+				if (found !== undefined) {
+					result.push(found);
+				}
+
+				return withPrevious(result, this);
+			}
+
+			for (const element of this) {
+				if (typeof element.querySelectorAll === "function") {
+					result.push(element.querySelectorAll(selector));
+				}
+			}
+
+			return withPrevious(traverse(result, (node) => node, () => null), this);
+		},
+
+		/**
+		 * Return text node with given text
+		 * @param {string} text
+		 * @returns {Text}
+		 */
+		text: function(text) {
+			return getDocument().createTextNode(text);
+		},
+
+		/**
+		 * Put cursor at end of all input and textarea fields
+		 * @returns {DDom}
+		 */
+		putCursorAtEnd: function() {
+			const element = this[0] || {};
+
+			if (element.nodeType === 1) {
+				const length = this.getVal().length;
+
+				// Check if required element has already focus - if yes then don't refocus because it might break stuff like suggestSearch
+				if (getDocument().activeElement !== this) {
+					this.focus();
+				}
+
+				if (length !== 0) {
+					// If this function exists...
+					if (element.setSelectionRange) {
+						// Double the length because Opera is inconsistent about whether a carriage return is one character or two. Sigh.
+						element.setSelectionRange(length, length);
+					} else {
+						this.eq(0).setVal(this.getVal());
+					}
+
+					// Scroll to the bottom, in case we're in a tall textarea
+					// (Necessary for Firefox and Google Chrome)
+					// noinspection JSUnusedGlobalSymbols
 					this.scrollTop = 999999;
 				}
 			}
 
-			return this;
-		},
+			return this;
+		},
+
+		/**
+		 * Return text node with given text
+		 * @param {string|number} text
+		 * @returns {DDom}
+		 */
+		addText: function(text) {
+			for (const element of this) {
+				element.appendChild(getDocument().createTextNode(text));
+			}
+
+			return this;
+		},
+
+		/**
+		 * Add class to element
+		 * @param {string} addClass
+		 * @return {DDom}
+		 */
+		addClass: function(addClass) {
+			if (addClass !== "") {
+				for (const element of this) {
+					// Check that handled element is Element
+					if (element.nodeType === 1) {
+						// Modern browsers have Element.classList
+						if (element.classList) {
+							element.classList.add(addClass);
+
+						} else {
+							const elClass = getClassName(element);
+
+							if (elClass.split(' ').indexOf(addClass) === -1) {
+								element.setAttribute("class", (elClass + " " + addClass).trim());
+							}
+						}
+					}
+				}
+			}
+
+			return this;
+		},
+
+		/**
+		 * Toggle class name
+		 * @param className
+		 * @return {DDom}
+		 */
+		toggleClass: function(className) {
+			for (const element of this) {
+				// Check that handled element is Element
+				if (element.nodeType === 1) {
+					// Modern browsers have Element.classList
+					if (element.classList && element.classList.toggle) {
+						element.classList.toggle(className);
+
+					} else {
+						let elementClass = getClassName(element);
+
+						elementClass = (elementClass.indexOf(className) === -1) ? elementClass + " " + className :
+							elementClass.replace(className, '').replace(/ +/g, " ");
+
+						element.setAttribute('class', elementClass);
+					}
+				}
+			}
+
+			return this;
+		},
+
+		/**
+		 * Toggle button disabled state
+		 * @param {boolean} state
+		 * @return {DDom}
+		 */
+		buttonDisabled: function(state) {
+			for (const element of this) {
+				if (element.nodeName.toLowerCase() === "button") {
+					element.disabled = state;
+				}
+			}
+		},
+
+		/**
+		 * Convenience function to toggle display-none class
+		 * @returns {DDom}
+		 */
+		toggle: function() {
+			this.toggleClass('display-none');
+
+			return this;
+		},
+
+		/**
+		 * Convenience function to remove display-none class
+		 * @returns {DDom}
+		 */
+		hide: function() {
+			this.addClass('display-none');
+
+			return this;
+		},
+
+		/**
+		 * Set innerHTML data
+		 * With sanitize option string is cleaned with sanitizer allowlist before it is added to document and
+		 * allowlist can be changed per call with tags, attributes and urlSchemes options. With $DDom.config
+		 * trustedTypes strings are wrapped with DDom policy and TrustedHTML from other policies is written as it is
+		 * @param {string|DDom|DocumentFragment|TrustedHTML} data
+		 * @param {{
+		 *		sanitize: (boolean|undefined),
+		 *		tags: (Array<string>|undefined),
+		 *		attributes: (Array<string>|undefined),
+		 *		urlSchemes: (Array<string>|undefined)
+		 * }} [options]
+		 * @return {DDom}
+		 */
+		html: function(data, options) {
+			options = options || Object.create(null);
+
+			const isMarkupData = typeof data === "string" || typeof data === "number" || isTrustedHTML(data);
+
+			if (isMarkupData && (options.sanitize === true || (options.sanitize === undefined && settings.sanitizeHtml))) {
+				const fragment = sanitizeMarkup(String(data), options);
+
+				for (const element of this) {
+					element.textContent = "";
+					element.appendChild(fragment.cloneNode(true));
+				}
+
+			} else if (isMarkupData) {
+				for (const element of this) {
+					element.innerHTML = isTrustedHTML(data) ? data : toTrustedHTML(String(data));
+				}
+
+			} else {
+				data = (data instanceof DDom) ? data.getFragment() : data;
+
+				for (const element of this) {
+					element.textContent = "";
+					element.appendChild(data);
+				}
+			}
+
+			return this;
+		},
+
+		/**
+		 * Set sanitized HTML - same as html with sanitize option
+		 * @param {string} data
+		 * @param {{tags: (Array<string>|undefined), attributes: (Array<string>|undefined), urlSchemes: (Array<string>|undefined)}} [options]
+		 * @return {DDom}
+		 */
+		safeHtml: function(data, options) {
+			return this.html(data, Object.assign({}, options, {sanitize: true}));
+		},
+
+		/**
+		 * Bind signal to element so DOM is updated after signal changes
+		 * Type is text, attr, class, style, value or visible. Attr, class and style need name of attribute, class or
+		 * style property. Value binding of input, textarea and select is two way and sets writable signal on input
+		 * event. Function is bind as computed signal. Object binds many at once
+		 * eg. {text: count, class: {active: selected}}
+		 * @example $DDom.getId('badge').bind('text', count).bind('visible', $DDom.computed(() => count.value > 0))
+		 * @param {string|Object} type
+		 * @param {Object|function} [signal]
+		 * @param {string} [name]
+		 * @returns {DDom}
+		 */
+		bind: function(type, signal, name) {
+			if (type !== null && typeof type === "object") {
+				for (const key of Object.keys(type)) {
+					const value = type[key];
+
+					if (["attr", "class", "style"].indexOf(key) !== -1 && !isSignal(value) && typeof value === "object") {
+						Object.keys(value).forEach((itemName) => this.bind(key, value[itemName], itemName));
+
+					} else {
+						this.bind(key, value);
+					}
+				}
+
+				return this;
+			}
+
+			if (typeof signal !== "function" && !isSignal(signal)) {
+				log("error", `bind - Value is not a signal [Type: ${type}]`);
+				return this;
+			}
+
+			for (const element of this) {
+				const single = new DDom(element);
+				// Function gets own computed signal for every element that is disposed with binding
+				const bound = (typeof signal === "function") ? $DDom.computed(signal) : signal;
+				const bindTo = (apply) => bindSignal(element, bound, apply, bound !== signal,
+						{type: type, signal: signal, name: name});
+
+				switch (type) {
+					case "text":
+						bindTo((value) =>
+								single.setText((value === null || value === undefined) ? "" : value));
+						break;
+
+					case "attr":
+						bindTo((value) => (value === null || value === undefined || value === false) ?
+								single.removeAttr(name) : single.setAttr(name, (value === true) ? "" : value));
+						break;
+
+					case "class":
+						bindTo((value) => value ? single.addClass(name) : single.removeClass(name));
+						break;
+
+					case "style":
+						bindTo((value) =>
+								single.setCSS(name, (value === null || value === undefined) ? "" : value));
+						break;
+
+					case "value":
+						bindTo((value) => {
+							const text = (value === null || value === undefined) ? "" : String(value);
+
+							// Writing same value would move caret of focused input to end, value is set directly
+							// because setVal only writes input elements and textarea and select are bound too
+							if (element.value !== text) {
+								element.value = text;
+							}
+						});
+
+						// Only writable signals are updated from input, computed signals have dispose
+						if (typeof bound.dispose !== "function") {
+							// Current target keeps listener right also when it is copied to clone withEvents
+							single.eventBind("input.bind", (event) => {
+								bound.value = event.currentTarget.value;
+							});
+						}
+						break;
+
+					case "visible":
+						bindTo((value) => value ? single.show() : single.hide());
+						break;
+
+					default:
+						log("error", `bind - Unknown binding type [Type: ${type}]`);
+				}
+			}
+
+			return this;
+		},
+
+		/**
+		 * Run callback every time element is inserted to document and right away if it is already there
+		 * @param {function(DDom)} callback
+		 * @returns {DDom}
+		 */
+		onMount: function(callback) {
+			addLifecycleHook(this, "mount", callback);
+
+			return this;
+		},
+
+		/**
+		 * Run cleanup callback when element is removed from document
+		 * After callbacks event handlers of element and its descendants are released, so handlers that are needed
+		 * again after reinsert should be bind in onMount
+		 * @param {function(DDom)} callback
+		 * @returns {DDom}
+		 */
+		onUnmount: function(callback) {
+			addLifecycleHook(this, "unmount", callback);
+
+			return this;
+		},
+
+		/**
+		 * Remove node
+		 * @returns {DDom}
+		 */
+		remove: function() {
+			for (const element of this) {
+				if (element.parentNode !== null) {
+					element.parentNode.removeChild(element);
+				}
+			}
+
+			this.length = 0;
+
+			return this;
+		},
+
+		/**
+		 * Remove attribute from Element nodeType 1
+		 * @param {String} attrName
+		 * @returns {DDom}
+		 */
+		removeAttr: function(attrName) {
+			for (const element of this) {
+				if (element.nodeType === 1) {
+					element.removeAttribute(attrName);
+				}
+			}
+
+			return this;
+		},
+
+		/**
+		 * Remove Class from element
+		 * @param {string} removeClass
+		 * @returns {DDom}
+		 */
+		removeClass: function(removeClass) {
+			for (const element of this) {
+				// Check that handled element is Element
+				if (element.nodeType === 1) {
+					// Modern browsers have Element.classList
+					if (element.classList) {
+						element.classList.remove(removeClass);
+
+					} else {
+						const regEx = new RegExp(removeClass, 'ig');
+						element.setAttribute("class", (element.getAttribute("class") || "")
+								.replace(regEx, '').replace(/ {2}/g, ' '));
+					}
+				}
+			}
+
+			return this;
+		},
+
+		/**
+		 * Set element attribute for element
+		 * Names with xlink: or xml: prefix are set to their namespace eg. "xlink:href" for SVG
+		 * @param {string} name
+		 * @param {string|boolean|number} value
+		 */
+		setAttr: function(name, value) {
+			for (const element of this) {
+				if (element.nodeType === 1) {
+					setAttributeNS(element, name, value);
+				}
+			}
+
+			return this;
+		},
+
+		/**
+		 * set css
+		 * @param {string} key
+		 * @param {string} value
+		 * @return {DDom}
+		 */
+		setCSS: function(key, value) {
+			for (const element of this) {
+				if (element.nodeType === 1) {
+					element.style[key] = value;
+				}
+			}
+
+			return this;
+		},
+
+		/**
+		 * Replace nodes content with given data in textNode
+		 * @param {string|number} text
+		 * @returns {DDom}
+		 */
+		setText: function(text) {
+			for (const element of this) {
+				element.textContent = "";
+				element.appendChild(getDocument().createTextNode(text));
+			}
+
+			return this;
+		},
+
+		/**
+		 * Set element value attribute
+		 * @param {string} value
+		 * @returns {DDom}
+		 */
+		setVal: function(value) {
+			for (const element of this) {
+				if (element.nodeName.toLowerCase() === "input") {
+					element.value = value;
+				}
+			}
+
+			return this;
+		},
+
+		/**
+		 * Convenience function to remove display-none class
+		 * @returns {DDom}
+		 */
+		show: function() {
+			this.removeClass('display-none');
+
+			return this;
+		},
+
+		/**
+		 * Get element attribute
+		 * @param {string} attr
+		 * @return {String|Null}
+		 */
+		getAttr: function(attr) {
+			return (this.length !== 0) ? this[0].getAttribute(attr) : null;
+		},
+
+		/**
+		 * Get all children of first element
+		 * @returns {DDom}
+		 */
+		getChildren: function() {
+			return (this[0] && this[0].nodeType === 1) ? new DDom(this[0].children) : new DDom();
+		},
+
+		/**
+		 * Get all children of first element as documentFragment
+		 * @returns {DocumentFragment}
+		 */
+		getChildrenFragment: function() {
+			const fragment = getDocument().createDocumentFragment();
+
+			if (this[0] && this[0].nodeType === 1) {
+				const children = this[0].children;
+				const length = children.length;
+
+				for (let x = 0; x < length; x += 1) {
+					fragment.appendChild(children[0]);
+				}
+			}
+
+			return fragment;
+		},
+
+		/**
+		 * Get all children of first element
+		 * @param {string} name
+		 * @returns {String|Null}
+		 */
+		getDataset: function(name) {
+			return (this[0]) ? this[0].dataset[name] : null;
+		},
+
+		/**
+		 * Get element by id
+		 * @param {string} id
+		 * @returns {DDom}
+		 */
+		getId: function (id) {
+			return new DDom(getDocument().getElementById(id));
+		},
+
+		/**
+		 * Get innerHTML data from first element and if not defined then empty string
+		 * @return {string}
+		 */
+		getInnerHTML: function() {
+			return (this.length !== 0) ? this[0].innerHTML : "";
+		},
+
+		/**
+		 * Get elements by class name
+		 * @param {string} cName
+		 * @param {HTMLElement|Document} [secondElement]
+		 * @returns {DDom}
+		 */
+		getClass: function(cName, secondElement) {
+			const element = this[0] || secondElement;
+
+			if (element !== undefined) {
+				return new DDom(element.getElementsByClassName(cName));
+			}
+
+			return new DDom();
+		},
+
+		/**
+		 * Get elements by tag name
+		 * @param {string} tagName
+		 * @param {HTMLElement|Document} [secondElement]
+		 * @returns {DDom}
+		 */
+		getTag: function(tagName, secondElement) {
+			const element = this[0] || secondElement;
+
+			if (element !== undefined) {
+				return new DDom(element.getElementsByTagName(tagName));
+			}
+
+			return new DDom();
+		},
+
+		/**
+		 * Get elements value attribute
+		 * @returns {string}
+		 */
+		getVal: function() {
+			return (this[0] !== undefined) ? this[0].value : "";
+		},
+
+		/**
+		 * Get outer HTML
+		 * @returns {string}
+		 */
+		getOuterHtml: function() {
+			return (this[0] !== undefined) ? this[0].outerHTML : "";
+		},
+
+		/**
+		 * Get element position to relative parent or with parameter to viewPort
+		 * @param {boolean} [viewPort=false]
+		 * @returns {{top: number, left: number}}
+		 */
+		getPosition: function(viewPort) {
+			let element = this[0];
+
+			if (viewPort) {
+				let top = 0, left = 0;
+
+				while (element) {
+				   if (element.tagName) {
+					   top = top + element.offsetTop - element.scrollTop;
+					   left = left + element.offsetLeft;
+					   element = element.offsetParent;
+				   } else {
+					   element = element.parentNode;
+				   }
+				}
+
+				return {"top": top, "left": left};
+			}
+
+			// SVG and MathML elements don't have offset position so their position is relative to nearest HTML parent
+			if (element.offsetTop === undefined && typeof element.getBoundingClientRect === "function") {
+				const rect = element.getBoundingClientRect();
+				let parent = element.parentNode;
+
+				while (parent !== null && parent.nodeType === 1 && parent.offsetTop === undefined) {
+					parent = parent.parentNode;
+				}
+
+				const parentRect = (parent !== null && parent.nodeType === 1) ? parent.getBoundingClientRect() : {top: 0, left: 0};
+
+				return {"top": rect.top - parentRect.top, "left": rect.left - parentRect.left};
+			}
+
+			return {"top": element.offsetTop, "left": element.offsetLeft};
+		},
+
+		/**
+		 * Has attribute
+		 * @param attribute
+		 * @returns {boolean}
+		 */
+		hasAttr: function(attribute) {
+			return !!(this[0] && this[0].nodeType === 1 && this[0].hasAttribute(attribute));
+		},
+
+		/**
+		 * Check if element has children
+		 * @returns {boolean}
+		 */
+		hasChildren: function() {
+			return !!(this[0] && this[0].nodeType === 1 && this[0].childElementCount > 0);
+		},
+
+		/**
+		 * Check if any of the elements has given class name
+		 * @param className
+		 * @returns {boolean}
+		 */
+		hasClass: function(className) {
+			const element = this[0];
+
+			if (element && element.nodeType === 1) {
+				if (element.classList) {
+					return element.classList.contains(className);
+				}
+
+				return ((" " + getClassName(element) + " ").replace(/[\n\t\r]/g, " ").indexOf(" " + className + " ") > -1);
+			}
+
+			return false;
+		},
+
+		/**
+		 * Does this object has any elements
+		 * @returns {boolean}
+		 */
+		hasElements: function() {
+			return (this.length > 0);
+		},
+
+		/**
+		 * How many elements this object has
+		 * @returns {number}
+		 */
+		countElements: function() {
+			return this.length;
+		},
+
+		/**
+		 * Get element offsetWidth
+		 * @param {boolean} [margin=false]
+		 * @returns {number}
+		 */
+		getWidth: function(margin) {
+			if (this.length === 0) {
+				return 0;
+			}
+
+			let calc = this[0].offsetWidth || this[0].outerWidth || getBoxSize(this[0], "width");
+
+			if (margin === true) {
+				const style = getView(this[0]).getComputedStyle(this[0], null);
+				calc += parseInt(style.marginLeft, 10) +
+						parseInt(style.marginRight, 10);
+			}
+
+			return calc;
+		},
+
+		/**
+		 * Set DataSet for element
+		 * @param {string} name
+		 * @param {string} data
+		 * @returns {DDom}
+		 */
+		setDataset: function(name, data) {
+			for (const element of this) {
+				if (element.nodeType === 1) {
+					element.dataset[name] = data;
+				}
+			}
+
+			return this;
+		},
+
+		/**
+		 * Set element css width
+		 * @param {string} width
+		 * @return {DDom}
+		 */
+		setWidth: function(width) {
+			for (const element of this) {
+				element.style.width = width;
+			}
+
+			return this;
+		},
+
+		/**
+		 * Get element offsetHeight
+		 * @param {boolean} [margin=false]
+		 * @returns {number}
+		 */
+		getHeight: function(margin) {
+			if (this.length === 0) {
+				return 0;
+			}
+
+			let calc = this[0].offsetHeight || this[0].outerHeight || getBoxSize(this[0], "height");
+
+			if (margin !== true) {
+				return calc;
+			}
+
+			const style = getView(this[0]).getComputedStyle(this[0], null);
+			return calc + parseInt(style.marginTop, 10) + parseInt(style.marginBottom, 10);
+		},
+
+		/**
+		 * Get element offsetHeight
+		 * @param {string} height
+		 * @return {DDom}
+		 */
+		setHeight: function(height) {
+			for (const element of this) {
+				element.style.height = height;
+			}
+
+			return this;
+		}
+	};
+
+	DDom.prototype[Symbol.iterator] = function () {
+		let index = -1;
+
+		return {
+			next: () => ({ value: this[++index], done: !(index in this) })
+		};
+	};
+
+	/**
+	 * Get new DDom instance wrapping empty document fragment
+	 * @global
+	 * @returns {DDom}
+	 */
+	const $DDomFragment = function() {
+		return new DDom(getDocument().createDocumentFragment());
+	};
+
+	/**
+	 * Attributes that contain URLs and can't get javascript: URL from interpolated values
+	 * @type {Array<string>}
+	 */
+	const urlAttributes = ["href", "src", "action", "formaction", "xlink:href", "poster", "cite", "background"];
+
+	/**
+	 * Check that URL is not script URL like javascript: or vbscript:
+	 * Control characters and whitespace are ignored like browsers do when they parse the scheme
+	 * @private
+	 * @param {string} url
+	 * @returns {boolean}
+	 */
+	function isSafeUrl(url) {
+		return !/^(javascript|vbscript|data:text\/html)/i.test(String(url).replace(/[\u0000-\u0020]/g, ""));
+	}
+
+	/**
+	 * Elements that sanitizer removes with their content - other elements outside allowlist are unwrapped
+	 * @type {Set<string>}
+	 */
+	const sanitizerDropTags = new Set(["script", "style", "template", "iframe", "frame", "frameset", "object",
+		"embed", "noscript", "noembed", "noframes", "xmp", "plaintext", "title", "head", "link", "meta", "base",
+		"svg", "math", "textarea", "select", "option"]);
+
+	/**
+	 * Trusted Types policies created by DDom by policy name - null when policy could not be created
+	 * @type {Map<string, Object|null>}
+	 */
+	const trustedPolicies = new Map();
+
+	/**
+	 * Check if value is TrustedHTML object created by Trusted Types policy
+	 * @private
+	 * @param {*} value
+	 * @returns {boolean}
+	 */
+	function isTrustedHTML(value) {
+		const view = (typeof value === "object" && value !== null) ? getDocument().defaultView : null;
+
+		return !!(view && view.trustedTypes && view.trustedTypes.isHTML(value));
+	}
+
+	/**
+	 * Get configured DDom Trusted Types policy and create it on first use
+	 * Policy passes developer markup as it is - user content has to go through sanitize option or safeHtml
+	 * @private
+	 * @returns {Object|null}
+	 */
+	function getTrustedPolicy() {
+		const view = getDocument().defaultView;
+		const name = settings.trustedTypes;
+
+		if (!view || !view.trustedTypes) {
+			return null;
+		}
+
+		if (!trustedPolicies.has(name)) {
+			try {
+				trustedPolicies.set(name, view.trustedTypes.createPolicy(name, {
+					createHTML: (value) => value
+				}));
+
+			} catch(/*TypeError*/e) {
+				// CSP trusted-types directive does not allow the name or policy already exists
+				log("error", `Trusted Types policy could not be created [Policy: ${name}] ${e.message}`);
+				trustedPolicies.set(name, null);
+			}
+		}
+
+		return trustedPolicies.get(name);
+	}
+
+	/**
+	 * Wrap markup to TrustedHTML with configured DDom policy when browser supports Trusted Types
+	 * Without trustedTypes setting or Trusted Types support markup is returned as it is
+	 * @private
+	 * @param {string} markup
+	 * @returns {string|TrustedHTML}
+	 */
+	function toTrustedHTML(markup) {
+		const policy = (settings.trustedTypes === null) ? null : getTrustedPolicy();
+
+		return (policy !== null) ? policy.createHTML(markup) : markup;
+	}
+
+	/**
+	 * Check attribute name against allowlist where names ending with * are prefixes
+	 * @private
+	 * @param {string} name
+	 * @param {Array<string>} allowed
+	 * @returns {boolean}
+	 */
+	function isAllowedAttribute(name, allowed) {
+		return allowed.some((pattern) => (pattern.charAt(pattern.length - 1) === "*") ?
+				name.indexOf(pattern.slice(0, -1)) === 0 : name === pattern);
+	}
+
+	/**
+	 * Check URL scheme against allowlist - relative URLs are allowed
+	 * @private
+	 * @param {string} url
+	 * @param {Array<string>} schemes
+	 * @returns {boolean}
+	 */
+	function isAllowedUrl(url, schemes) {
+		const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url.replace(/[\u0000-\u0020]/g, ""));
+
+		return isSafeUrl(url) && (scheme === null || schemes.indexOf(scheme[1].toLowerCase()) !== -1);
+	}
+
+	/**
+	 * Remove elements, attributes and URLs that are not in allowlist from node children
+	 * Event handler attributes and script URLs are always removed even when allowlist has them
+	 * @private
+	 * @param {Node} root
+	 * @param {{tags: Array<string>, attributes: Array<string>, urlSchemes: Array<string>}} rules
+	 */
+	function sanitizeChildren(root, rules) {
+		for (const node of Array.from(root.childNodes)) {
+			if (node.nodeType === 3) {
+				continue;
+			}
+
+			const tag = (node.nodeType === 1 && node.namespaceURI === namespaceURIs.html) ? node.localName : null;
+
+			// Comments, foreign elements and dangerous elements go with their content
+			if (tag === null || sanitizerDropTags.has(tag)) {
+				root.removeChild(node);
+				continue;
+			}
+
+			sanitizeChildren(node, rules);
+
+			if (rules.tags.indexOf(tag) === -1) {
+				while (node.firstChild !== null) {
+					root.insertBefore(node.firstChild, node);
+				}
+
+				root.removeChild(node);
+				continue;
+			}
+
+			for (const attribute of Array.from(node.attributes)) {
+				const name = attribute.name.toLowerCase();
+
+				if (name.indexOf("on") === 0 || !isAllowedAttribute(name, rules.attributes) ||
+						(urlAttributes.indexOf(name) !== -1 && !isAllowedUrl(attribute.value, rules.urlSchemes))) {
+					node.removeAttribute(attribute.name);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Parse markup in inert template and sanitize it
+	 * @private
+	 * @param {string} markup
+	 * @param {{tags: (Array<string>|undefined), attributes: (Array<string>|undefined), urlSchemes: (Array<string>|undefined)}} [options]
+	 * @returns {DocumentFragment}
+	 */
+	function sanitizeMarkup(markup, options) {
+		const doc = getDocument();
+		const template = doc.createElement("template");
+		const rules = Object.assign({}, settings.sanitizer);
+
+		for (const key of ["tags", "attributes", "urlSchemes"]) {
+			if (options && Array.isArray(options[key])) {
+				rules[key] = options[key];
+			}
+		}
+
+		// Template content is inert so nothing loads or runs before sanitizing is done
+		template.innerHTML = toTrustedHTML(markup);
+		sanitizeChildren(template.content, rules);
+
+		return moveTemplateContent(template);
+	}
+
+	/**
+	 * Sanitize markup to string
+	 * @private
+	 * @param {string} markup
+	 * @param {{tags: (Array<string>|undefined), attributes: (Array<string>|undefined), urlSchemes: (Array<string>|undefined)}} [options]
+	 * @returns {string}
+	 */
+	function sanitizeToString(markup, options) {
+		const container = getDocument().createElement("div");
+
+		container.appendChild(sanitizeMarkup(String(markup), options));
+
+		return container.innerHTML;
+	}
+
+	/**
+	 * Elements whose content is text for parser - markup inside them is not parsed
+	 * @type {Array<string>}
+	 */
+	const rawTextTags = ["script", "style", "textarea", "title"];
+
+	/**
+	 * Attributes and properties that would run interpolated string as script or parse it as markup
+	 * @type {Array<string>}
+	 */
+	const unsafeTemplateNames = ["srcdoc", "innerhtml", "outerhtml"];
+
+	/**
+	 * Update html template parser state with template string
+	 * Mode is text, tag, comment or raw where raw is content of script, style, textarea or title
+	 * @private
+	 * @param {{mode: string, tag: string, quote: string}} state
+	 * @param {string} text
+	 */
+	function scanTemplateMarkup(state, text) {
+		let x = 0;
+
+		while (x < text.length) {
+			const char = text.charAt(x);
+
+			if (state.mode === "text") {
+				const tag = (char === "<") ? /^<(\/?)([a-zA-Z][^\s\/>]*)/.exec(text.slice(x)) : null;
+
+				if (text.startsWith("<!--", x)) {
+					state.mode = "comment";
+					x += 4;
+					continue;
+
+				} else if (tag !== null) {
+					// Literal "<" in text like "1 < 2" does not start a tag
+					state.mode = "tag";
+					state.tag = (tag[1] === "") ? tag[2].toLowerCase() : "";
+					x += tag[0].length;
+					continue;
+				}
+
+			} else if (state.mode === "comment") {
+				if (text.startsWith("-->", x)) {
+					state.mode = "text";
+					x += 3;
+					continue;
+				}
+
+			} else if (state.mode === "raw") {
+				if (text.slice(x, x + state.tag.length + 2).toLowerCase() === `</${state.tag}`) {
+					state.mode = "tag";
+					x += state.tag.length + 2;
+					state.tag = "";
+					continue;
+				}
+
+			} else if (state.quote !== "") {
+				if (char === state.quote) {
+					state.quote = "";
+				}
+
+			} else if (char === "\"" || char === "'") {
+				state.quote = char;
+
+			} else if (char === ">") {
+				state.mode = (rawTextTags.indexOf(state.tag) !== -1) ? "raw" : "text";
+			}
+
+			x++;
+		}
+	}
 
-		/**
-		 * Return text node with given text
-		 * @param {string|number} text
-		 * @returns {DDom}
-		 */
-		addText: function(text) {
-			for (const element of this) {
-				element.appendChild(document.createTextNode(text));
+	/**
+	 * Check if interpolated value can't be used in attribute or property because it would be run or parsed
+	 * Functions are accepted for on* properties because they are handlers and not strings
+	 * @private
+	 * @param {string} name attribute or property name
+	 * @param {*} value
+	 * @returns {boolean}
+	 */
+	function isUnsafeTemplateName(name, value) {
+		name = name.toLowerCase();
+
+		return unsafeTemplateNames.indexOf(name) !== -1 || (name.indexOf("on") === 0 && typeof value !== "function");
+	}
+
+	/**
+	 * Convert html template value in child position to nodes - strings are text nodes so markup is never parsed
+	 * @private
+	 * @param {*} value
+	 * @returns {Array<Node>}
+	 */
+	function templateValueToNodes(value) {
+		if (value === null || value === undefined || value === false) {
+			return [];
+		}
+
+		if (Array.isArray(value)) {
+			return value.reduce((nodes, item) => nodes.concat(templateValueToNodes(item)), []);
+		}
+
+		if (value.isDDom) {
+			return value.getAll();
+		}
+
+		if (typeof value === "object" && value.nodeType !== undefined) {
+			return [value];
+		}
+
+		return [getDocument().createTextNode(String(value))];
+	}
+
+	/**
+	 * Apply html template attribute binding
+	 * @private
+	 * @param {Element} element
+	 * @param {Attr} attribute attribute with markers as value
+	 * @param {string} name attribute name as written in template - parser lower cases attribute names
+	 * @param {RegExp} markers
+	 * @param {Array<*>} values
+	 */
+	function applyTemplateAttribute(element, attribute, name, markers, values) {
+		const prefix = name.charAt(0);
+		const raw = attribute.value;
+		const first = values[Number(new RegExp(markers.source).exec(raw)[1])];
+
+		if (prefix === "@" || prefix === "." || prefix === "?") {
+			element.removeAttribute(attribute.name);
+		}
+
+		if (prefix !== "@" && isUnsafeTemplateName(prefix === "." || prefix === "?" ? name.slice(1) : name,
+				(prefix === ".") ? first : String(first))) {
+			log("error", `html - Value is not allowed in event handler, srcdoc or HTML [Attribute: ${name}]`);
+			element.removeAttribute(attribute.name);
+
+		} else if (prefix === "@") {
+			const handler = Array.isArray(first) ? first : [first];
+			new DDom(element).eventBind(name.slice(1), handler[0], handler[1]);
+
+		} else if (prefix === "." && urlAttributes.indexOf(name.slice(1).toLowerCase()) !== -1 && !isSafeUrl(first)) {
+			log("warn", `html - Unsafe URL removed [Property: ${name.slice(1)}]`);
+
+		} else if (prefix === ".") {
+			element[name.slice(1)] = first;
+
+		} else if (prefix === "?") {
+			if (first) {
+				element.setAttribute(name.slice(1), "");
 			}
 
-			return this;
-		},
+		} else if (raw.replace(markers, "") === "" && (first === null || first === undefined || first === false)) {
+			// Attribute with only empty value is left out
+			element.removeAttribute(attribute.name);
 
-		/**
-		 * Add class to element
-		 * @param {string} addClass
-		 * @return {DDom}
-		 */
-		addClass: function(addClass) {
-			if (addClass !== "") {
-				for (const element of this) {
-					// Check that handled element is Element
-					if (element.nodeType === 1) {
-						// Modern browsers have Element.classList
-						if (element.classList) {
-							element.classList.add(addClass);
+		} else {
+			const value = raw.replace(markers, (marker, index) => {
+				const item = values[Number(index)];
+				return (item === null || item === undefined) ? "" : String(item);
+			});
 
-						} else {
-							const elClass = element.getAttribute("class");
+			if (urlAttributes.indexOf(attribute.name.toLowerCase()) !== -1 && !isSafeUrl(value)) {
+				log("warn", `html - Unsafe URL removed [Attribute: ${attribute.name}]`);
+				element.removeAttribute(attribute.name);
 
-							if (elClass === null || elClass.split(' ').indexOf(addClass) === -1) {
-								element.setAttribute("class", elClass + " " + addClass);
-							}
-						}
-					}
-				}
+			} else {
+				attribute.value = value;
 			}
+		}
+	}
 
-			return this;
-		},
+	/**
+	 * Attributes of template directives that are removed from rendered nodes
+	 * @type {Array<string>}
+	 */
+	const templateDirectives = ["data-bind", "data-bind-attr", "data-bind-class", "data-if", "data-each",
+		"data-template"];
 
-		/**
-		 * Toggle class name
-		 * @param className
-		 * @return {DDom}
-		 */
-		toggleClass: function(className) {
-			for (const element of this) {
-				// Check that handled element is Element
-				if (element.nodeType === 1) {
-					// Modern browsers have Element.classList
-					if (element.classList && element.classList.toggle) {
-						element.classList.toggle(className);
+	/**
+	 * Get template element from selector, element or DDom
+	 * @private
+	 * @param {string|Element|DDom} template
+	 * @returns {HTMLTemplateElement|null}
+	 */
+	function getTemplateElement(template) {
+		const element = (typeof template === "string") ? getDocument().querySelector(template) :
+				(template instanceof DDom) ? template[0] : template;
 
-					} else {
-						let elementClass = element.getAttribute("class");
+		return (element && element.localName === "template") ? element : null;
+	}
 
-						elementClass = (elementClass.indexOf(className) === -1) ? elementClass + " " + className :
-							elementClass.replace(className, '').replace(/ +/g, " ");
+	/**
+	 * Resolve dotted path from template scope
+	 * "." and $item are current data, $index is index in data-each and $parent. continues from outer scope.
+	 * Name that is not found from current data is looked up from outer scopes
+	 * @private
+	 * @param {{data: *, index: (number|undefined), parent: (Object|null)}} scope
+	 * @param {string} path
+	 * @returns {*}
+	 */
+	function resolveTemplatePath(scope, path) {
+		path = path.trim();
 
-						element.setAttribute('class', elementClass);
-					}
+		if (path === "." || path === "$item") {
+			return scope.data;
+
+		} else if (path === "$index") {
+			return scope.index;
+
+		} else if (path.indexOf("$parent.") === 0) {
+			return scope.parent ? resolveTemplatePath(scope.parent, path.slice(8)) : undefined;
+		}
+
+		const keys = path.split(".");
+
+		if (scope.parent && (scope.data === null || typeof scope.data !== "object" || !(keys[0] in scope.data))) {
+			return resolveTemplatePath(scope.parent, path);
+		}
+
+		return keys.reduce((value, key) => (value === null || value === undefined) ? undefined : value[key],
+				scope.data);
+	}
+
+	/**
+	 * Parse "name: path, name: path" directive value to pairs
+	 * @private
+	 * @param {string} value
+	 * @returns {Array<Array<string>>}
+	 */
+	function parseTemplatePairs(value) {
+		return value.split(",")
+				.map((pair) => {
+					// Last separator splits so namespaced names like "xlink:href: url" keep their prefix
+					const separator = (pair.lastIndexOf(": ") !== -1) ? pair.lastIndexOf(": ") : pair.lastIndexOf(":");
+
+					return (separator === -1) ? [] : [pair.slice(0, separator).trim(), pair.slice(separator + 1).trim()];
+				})
+				.filter((pair) => pair.length === 2 && pair[0] !== "" && pair[1] !== "");
+	}
+
+	/**
+	 * Check data-if condition where "!path" negates value
+	 * @private
+	 * @param {{data: *, index: (number|undefined), parent: (Object|null)}} scope
+	 * @param {string} condition
+	 * @returns {boolean}
+	 */
+	function isTemplateConditionMet(scope, condition) {
+		const negate = condition.trim().charAt(0) === "!";
+		const value = !!resolveTemplatePath(scope, negate ? condition.trim().slice(1) : condition);
+
+		return negate ? !value : value;
+	}
+
+	/**
+	 * Render template content with data to new fragment
+	 * @private
+	 * @param {HTMLTemplateElement} template
+	 * @param {{data: *, index: (number|undefined), parent: (Object|null)}} scope
+	 * @returns {DocumentFragment}
+	 */
+	function renderTemplate(template, scope) {
+		const fragment = getDocument().importNode(template.content, true);
+
+		fillTemplateChildren(fragment, scope);
+
+		return fragment;
+	}
+
+	/**
+	 * Fill directives of every element under node
+	 * @private
+	 * @param {Node} node
+	 * @param {{data: *, index: (number|undefined), parent: (Object|null)}} scope
+	 */
+	function fillTemplateChildren(node, scope) {
+		for (const child of Array.from(node.children || node.childNodes)) {
+			if (child.nodeType === 1) {
+				fillTemplateElement(child, scope);
+			}
+		}
+	}
+
+	/**
+	 * Fill template directives of element
+	 * data-each repeats element for every item or with data-template renders that template for every item inside it
+	 * @private
+	 * @param {Element} element
+	 * @param {{data: *, index: (number|undefined), parent: (Object|null)}} scope
+	 */
+	function fillTemplateElement(element, scope) {
+		const parent = element.parentNode;
+		const condition = element.getAttribute("data-if");
+		const each = element.getAttribute("data-each");
+		const nested = element.getAttribute("data-template");
+		const nestedTemplate = (nested !== null) ? getTemplateElement(nested) : null;
+
+		if (nested !== null && nestedTemplate === null) {
+			log("error", `template - Nested template not found [Template: ${nested}]`);
+		}
+
+		if (each !== null) {
+			const items = resolveTemplatePath(scope, each);
+			const list = (items === null || items === undefined) ? [] : Array.from(items);
+
+			element.removeAttribute("data-each");
+
+			// With data-each data-if is checked for every item
+			if (nested !== null) {
+				element.removeAttribute("data-template");
+				element.removeAttribute("data-if");
+				element.textContent = "";
+
+				if (nestedTemplate !== null) {
+					list.forEach((item, index) => {
+						const itemScope = {data: item, index: index, parent: scope};
+
+						if (condition === null || isTemplateConditionMet(itemScope, condition)) {
+							element.appendChild(renderTemplate(nestedTemplate, itemScope));
+						}
+					});
 				}
+
+			} else {
+				// Copies keep data-if so it is checked with their item scope
+				list.forEach((item, index) => {
+					const copy = element.cloneNode(true);
+
+					parent.insertBefore(copy, element);
+					fillTemplateElement(copy, {data: item, index: index, parent: scope});
+				});
+
+				parent.removeChild(element);
+				return;
 			}
 
-			return this;
-		},
+		} else if (condition !== null && !isTemplateConditionMet(scope, condition)) {
+			parent.removeChild(element);
+			return;
+		}
 
-		/**
-		 * Toggle button disabled state
-		 * @param {boolean} state
-		 * @return {DDom}
-		 */
-		buttonDisabled: function(state) {
-			for (const element of this) {
-				if (element.nodeName.toLowerCase() === "button") {
-					element.disabled = state;
+		if (each === null && nested !== null) {
+			element.textContent = "";
+
+			if (nestedTemplate !== null) {
+				element.appendChild(renderTemplate(nestedTemplate, scope));
+			}
+		}
+
+		const bind = element.getAttribute("data-bind");
+		const bindAttr = element.getAttribute("data-bind-attr");
+		const bindClass = element.getAttribute("data-bind-class");
+
+		if (bind !== null) {
+			const value = resolveTemplatePath(scope, bind);
+
+			element.textContent = (value === null || value === undefined) ? "" : String(value);
+		}
+
+		if (bindAttr !== null) {
+			for (const [name, path] of parseTemplatePairs(bindAttr)) {
+				const value = resolveTemplatePath(scope, path);
+
+				if (value === null || value === undefined || value === false) {
+					element.removeAttribute(name);
+
+				} else if (isUnsafeTemplateName(name, String(value))) {
+					log("error", `template - Value is not allowed in event handler, srcdoc or HTML [Attribute: ${name}]`);
+					element.removeAttribute(name);
+
+				} else if (urlAttributes.indexOf(name.toLowerCase()) !== -1 && !isSafeUrl(value)) {
+					log("error", `template - Unsafe URL skipped [Attribute: ${name}]`);
+					element.removeAttribute(name);
+
+				} else {
+					setAttributeNS(element, name, (value === true) ? "" : String(value));
 				}
 			}
-		},
+		}
+
+		if (bindClass !== null) {
+			for (const [name, path] of parseTemplatePairs(bindClass)) {
+				element.classList.toggle(name, !!resolveTemplatePath(scope, path));
+			}
+		}
+
+		for (const directive of templateDirectives) {
+			element.removeAttribute(directive);
+		}
+
+		// Nested template content is already filled with its own scope
+		if (nested === null) {
+			fillTemplateChildren(element, scope);
+		}
+	}
+
+	/**
+	 * Get new DDom instance - string is created as element from tag name or parsed from HTML markup
+	 * @global
+	 * @param {string|HTMLElement|Node|NodeList|HTMLCollection|DDom|DocumentFragment} [selector]
+	 * @param {Object} [options]
+	 * @returns {DDom}
+	 */
+	let $DDom = function(selector, options) {
+		return new DDom(selector, options);
+	};
+
+	/**
+	 * @function
+	 * @returns {DDom}
+	 */
+	$DDom.qs = function(search) {
+		return DDom.prototype.qs(search, getDocument());
+	};
+
+	/**
+	 * @function
+	 * @returns {DDom}
+	 */
+	$DDom.qsAll = function(search) {
+		return DDom.prototype.qsAll(search, getDocument());
+	};
+
+	/**
+	 * @function
+	 * @returns {DDom}
+	 */
+	$DDom.qsDeep = function(search) {
+		return DDom.prototype.qsDeep(search, getDocument());
+	};
+
+	/**
+	 * @function
+	 * @returns {DDom}
+	 */
+	$DDom.qsAllDeep = function(search) {
+		return DDom.prototype.qsAllDeep(search, getDocument());
+	};
+
+	/**
+	 * @function
+	 * @returns {DDom}
+	 */
+	$DDom.getId = function(search) {
+		return DDom.prototype.getId(search);
+	};
+
+	/**
+	 * @function
+	 * @returns {DDom}
+	 */
+	$DDom.getTag = function(search) {
+		return DDom.prototype.getTag(search, getDocument());
+	};
+
+	/**
+	 * @function
+	 * @returns {DDom}
+	 */
+	$DDom.getClass = function(search) {
+		return DDom.prototype.getClass(search, getDocument());
+	};
+
+	/**
+	 * @function
+	 * @returns {boolean}
+	 */
+	$DDom.instanceOf = function(item) {
+		return item instanceof DDom;
+	};
+
+	/**
+	 * Tagged template that creates DDom collection from markup
+	 * Interpolated strings are always text and never markup, DDom objects and Nodes are inserted as they are and arrays
+	 * are flattened. In attributes @event=${fn} binds handler with eventBind, .prop=${value} sets property,
+	 * ?attr=${bool} toggles boolean attribute and other attributes get value as string. Values are not accepted in
+	 * on* event handler attributes, srcdoc and HTML properties, and in <textarea> and <title> they are text.
+	 * Values inside <script>, <style> and comments are skipped
+	 * @example $DDom.html`<button class="btn ${type}" @click=${save}>${label}</button>`
+	 * @function
+	 * @param {Array<string>} strings
+	 * @param {...*} values
+	 * @returns {DDom}
+	 */
+	$DDom.html = function(strings, ...values) {
+		const id = `ddom${Math.random().toString(36).slice(2)}`;
+		const markers = new RegExp(`${id}-(\\d+)`, "g");
+		const attributeNames = [];
+		let markup = "";
 
-		/**
-		 * Convenience function to toggle display-none class
-		 * @returns {DDom}
-		 */
-		toggle: function() {
-			this.toggleClass('display-none');
+		const state = {mode: "text", tag: "", quote: ""};
 
-			return this;
-		},
+		for (let x = 0; x < strings.length; x++) {
+			markup += strings[x];
+			// Only template strings are scanned so markers added below don't change parser state
+			scanTemplateMarkup(state, strings[x]);
 
-		/**
-		 * Convenience function to remove display-none class
-		 * @returns {DDom}
-		 */
-		hide: function() {
-			this.addClass('display-none');
+			if (x === values.length) {
+				break;
+			}
 
-			return this;
-		},
+			// Quoted value can have any other characters before value but unquoted value has to be only value
+			const attribute = (state.mode !== "tag") ? null : (state.quote !== "") ?
+					new RegExp(`([^\\s"'>\\/=]+)\\s*=\\s*${state.quote}[^${state.quote}]*$`).exec(markup) :
+					/([^\s"'>\/=]+)\s*=\s*$/.exec(markup);
 
-		/**
-		 * Set innerHTML data
-		 * @param {string|DDom|DocumentFragment} data
-		 * @return {DDom}
-		 */
-		html: function(data) {
-			if (typeof data === "string" || typeof data === "number") {
-				for (const element of this) {
-					element.innerHTML = data;
-				}
+			if (attribute !== null) {
+				attributeNames[x] = attribute[1];
+				// Unquoted value gets quotes so value is one marker
+				markup += (state.quote === "") ? `"${id}-${x}"` : `${id}-${x}`;
+
+			} else if (state.mode === "raw" && (state.tag === "textarea" || state.tag === "title")) {
+				// Comment would be text in textarea and title so marker is replaced from their text
+				markup += `${id}-${x}`;
+
+			} else if (state.mode === "text") {
+				markup += `<!--${id}-${x}-->`;
 
 			} else {
-				data = (data instanceof DDom) ? data.getFragment() : data;
+				log("error", `html - Value is skipped because it is not in text or attribute value [Index: ${x}]`);
+			}
+		}
 
-				for (const element of this) {
-					element.innerHTML = "";
-					element.appendChild(data);
+		const fragment = parseTemplate(markup);
+		const walker = getDocument().createTreeWalker(fragment, 0x80 /* NodeFilter.SHOW_COMMENT */);
+		const comments = [];
+
+		while (walker.nextNode()) {
+			comments.push(walker.currentNode);
+		}
+
+		for (const comment of comments) {
+			const match = new RegExp(`^${markers.source}$`).exec(comment.nodeValue);
+
+			if (match !== null) {
+				for (const node of templateValueToNodes(values[Number(match[1])])) {
+					comment.parentNode.insertBefore(node, comment);
 				}
+
+				comment.parentNode.removeChild(comment);
 			}
+		}
 
-			return this;
-		},
+		for (const element of Array.from(fragment.querySelectorAll("textarea, title"))) {
+			element.textContent = element.textContent.replace(markers, (marker, index) =>
+					templateValueToNodes(values[Number(index)]).map((node) => node.textContent).join(""));
+		}
 
-		/**
-		 * Remove node
-		 * @returns {DDom}
-		 */
-		remove: function() {
-			for (const element of this) {
-				if (element.parentNode !== null) {
-					element.parentNode.removeChild(element);
+		for (const element of Array.from(fragment.querySelectorAll("*"))) {
+			for (const attribute of Array.from(element.attributes)) {
+				const match = new RegExp(markers.source).exec(attribute.value);
+
+				if (match !== null) {
+					applyTemplateAttribute(element, attribute, attributeNames[Number(match[1])], markers, values);
 				}
 			}
+		}
 
-			this.length = 0;
+		const result = new DDom();
 
-			return this;
-		},
+		result.push(getTopLevelNodes(fragment));
 
-		/**
-		 * Remove attribute from Element nodeType 1
-		 * @param {String} attrName
-		 * @returns {DDom}
-		 */
-		removeAttr: function(attrName) {
-			for (const element of this) {
-				if (element.nodeType === 1) {
-					element.removeAttribute(attrName);
+		return result;
+	};
+
+	/**
+	 * Get renderer for <template> element that fills directives from data
+	 * data-bind="path" sets text, data-bind-attr="href: url, title: name" sets attributes,
+	 * data-bind-class="active: selected" toggles classes, data-if="path" or data-if="!path" keeps element only when
+	 * value is truthy and data-each="path" repeats element for every item. data-template="#row-tpl" renders nested
+	 * template inside element - with data-each once for every item. Paths are dotted and can use ".", $index and
+	 * $parent. inside data-each
+	 * @example $DDom.template('#row-tpl').render({rows: [{name: "A"}]})
+	 * @function
+	 * @param {string|HTMLTemplateElement|DDom} template
+	 * @returns {{element: (HTMLTemplateElement|null), render: function(*): DDom}}
+	 */
+	$DDom.template = function(template) {
+		const element = getTemplateElement(template);
+
+		if (element === null) {
+			log("error", `template - Template element not found [Template: ${template}]`);
+		}
+
+		return {
+			element: element,
+
+			/**
+			 * Render template with data to new DDom collection of top level nodes
+			 * @param {*} data
+			 * @returns {DDom}
+			 */
+			render: function(data) {
+				const result = new DDom();
+
+				if (element !== null) {
+					result.push(getTopLevelNodes(renderTemplate(element, {data: data, parent: null})));
 				}
+
+				return result;
 			}
+		};
+	};
 
-			return this;
-		},
+	/**
+	 * Create writable signal - setting value notifies subscribers, computed signals and bindings
+	 * @example const count = $DDom.signal(0); count.value++;
+	 * @function
+	 * @param {*} value initial value
+	 * @returns {{value: *, peek: function(): *, subscribe: function(function(*)): function()}}
+	 */
+	$DDom.signal = function(value) {
+		const signal = createSignalObject(() => value, (newValue) => {
+			if (!Object.is(value, newValue)) {
+				value = newValue;
+				notifySignal(signal);
+			}
+		});
 
-		/**
-		 * Remove Class from element
-		 * @param {string} removeClass
-		 * @returns {DDom}
-		 */
-		removeClass: function(removeClass) {
-			for (const element of this) {
-				// Check that handled element is Element
-				if (element.nodeType === 1) {
-					// Modern browsers have Element.classList
-					if (element.classList) {
-						element.classList.remove(removeClass);
+		return signal;
+	};
 
-					} else {
-						const regEx = new RegExp(removeClass, 'ig');
-						element.setAttribute("class", (element.getAttribute("class") || "")
-								.replace(regEx, '').replace(/ {2}/g, ' '));
-					}
-				}
+	/**
+	 * Create read only signal from function - signals read in function are tracked as dependencies and value is
+	 * calculated again only when it's requested after some dependency has changed
+	 * @example const total = $DDom.computed(() => price.value * amount.value);
+	 * @function
+	 * @param {function(): *} callback
+	 * @returns {{value: *, peek: function(): *, subscribe: function(function(*)): function()}}
+	 */
+	$DDom.computed = function(callback) {
+		const sources = new Set();
+		const invalidate = () => {
+			if (!dirty) {
+				dirty = true;
+				notifySignal(signal);
 			}
+		};
+		let dirty = true;
+		let value;
 
-			return this;
-		},
+		const signal = createSignalObject(() => {
+			if (dirty) {
+				const dependencies = new Set();
 
-		/**
-		 * Set element attribute for element
-		 * @param {string} name
-		 * @param {string|boolean|number} value
-		 */
-		setAttr: function(name, value) {
-			for (const element of this) {
-				if (element.nodeType === 1) {
-					element.setAttribute(name, value);
+				signalTracking.push(dependencies);
+
+				try {
+					value = callback();
+
+				} finally {
+					signalTracking.pop();
 				}
-			}
 
-			return this;
-		},
+				for (const source of sources) {
+					source.observers.delete(invalidate);
+				}
 
-		/**
-		 * set css
-		 * @param {string} key
-		 * @param {string} value
-		 * @return {DDom}
-		 */
-		setCSS: function(key, value) {
-			for (const element of this) {
-				if (element.nodeType === 1) {
-					element.style[key] = value;
+				sources.clear();
+
+				for (const dependency of dependencies) {
+					sources.add(dependency);
+					dependency.observers.add(invalidate);
 				}
+
+				dirty = false;
 			}
 
-			return this;
-		},
+			return value;
+		}, null);
 
 		/**
-		 * Replace nodes content with given data in textNode
-		 * @param {string|number} text
-		 * @returns {DDom}
+		 * Stop tracking dependencies - value is not calculated again after this
 		 */
-		setText: function(text) {
-			for (const element of this) {
-				element.innerHTML = "";
-				element.appendChild(document.createTextNode(text));
+		signal.dispose = function() {
+			for (const source of sources) {
+				source.observers.delete(invalidate);
 			}
 
-			return this;
-		},
+			sources.clear();
+			dirty = false;
+		};
 
-		/**
-		 * Set element value attribute
-		 * @param {string} value
-		 * @returns {DDom}
-		 */
-		setVal: function(value) {
-			for (const element of this) {
-				if (element instanceof HTMLInputElement) {
-					element.value = value;
-				}
-			}
+		return signal;
+	};
 
-			return this;
-		},
+	/**
+	 * Sanitize markup with allowlist of $DDom.config sanitizer settings or given options
+	 * @function
+	 * @param {string} markup
+	 * @param {{tags: (Array<string>|undefined), attributes: (Array<string>|undefined), urlSchemes: (Array<string>|undefined)}} [options]
+	 * @returns {string}
+	 */
+	$DDom.sanitize = function(markup, options) {
+		return sanitizeToString(markup, options);
+	};
 
-		/**
-		 * Convenience function to remove display-none class
-		 * @returns {DDom}
-		 */
-		show: function() {
-			this.removeClass('display-none');
+	/**
+	 * Configure error policy for event handler exceptions and logging
+	 * onError receives (error, event, element, selector) where selector is delegation selector of on or null
+	 * preventOnError (default true) calls preventDefault and stopPropagation when handler throws
+	 * rethrow rethrows handler error after it has been handled so browser error reporting sees it
+	 * logger receives (level, message) and logLevel filters out less severe messages - "silent" disables logging
+	 * gestures changes thresholds of tap, longpress, swipe and pan gesture events
+	 * releaseOnRemove releases event handlers of every subtree that is removed from document
+	 * sanitizer changes allowlist of tags, attributes and URL schemes and sanitizeHtml makes html sanitize by default
+	 * trustedTypes is Trusted Types policy name that DDom uses for markup when page enforces Trusted Types - policy
+	 * passes developer markup as it is so user content has to be sanitized with sanitize option or safeHtml
+	 * Without options returns copy of current settings
+	 * @function
+	 * @param {{
+	 *		onError: (function(Error, Event, (HTMLElement|Window), (string|null))|null|undefined),
+	 *		rethrow: (boolean|undefined),
+	 *		preventOnError: (boolean|undefined),
+	 *		logLevel: (string|undefined),
+	 *		logger: (function(string, string)|undefined),
+	 *		releaseOnRemove: (boolean|undefined),
+	 *		sanitizeHtml: (boolean|undefined),
+	 *		trustedTypes: (string|null|undefined),
+	 *		sanitizer: ({tags: Array<string>, attributes: Array<string>, urlSchemes: Array<string>}|undefined),
+	 *		gestures: (Object<string, number>|undefined)
+	 * }} [options]
+	 * @returns {Object}
+	 */
+	$DDom.config = function(options) {
+		if (options !== undefined) {
+			for (const key of Object.keys(options)) {
+				if (!(key in settings)) {
+					log("warn", `$DDom.config - Unknown option [Key: ${key}]`);
 
-			return this;
-		},
+				} else if (key === "logLevel" && logLevels.indexOf(options[key]) === -1) {
+					log("warn", `$DDom.config - Unknown log level [Level: ${options[key]}]`);
 
-		/**
-		 * Get element attribute
-		 * @param {string} attr
-		 * @return {String|Null}
-		 */
-		getAttr: function(attr) {
-			return (this.length !== 0) ? this[0].getAttribute(attr) : null;
-		},
+				} else if (key === "logger" && typeof options[key] !== "function") {
+					log("warn", "$DDom.config - Logger has to be function");
 
-		/**
-		 * Get all children of first element
-		 * @returns {DDom}
-		 */
-		getChildren: function() {
-			return (this[0] && this[0].nodeType === 1) ? new DDom(this[0].children) : new DDom();
-		},
+				} else if (key === "gestures" || key === "sanitizer") {
+					Object.assign(settings[key], options[key]);
 
-		/**
-		 * Get all children of first element as documentFragment
-		 * @returns {DocumentFragment}
-		 */
-		getChildrenFragment: function() {
-			const fragment = document.createDocumentFragment();
+				} else if (key === "trustedTypes" && options[key] !== null && typeof options[key] !== "string") {
+					log("warn", "$DDom.config - Trusted Types policy name has to be string or null");
 
-			if (this[0] && this[0].nodeType === 1) {
-				const children = this[0].children;
-				const length = children.length;
+				} else if (key === "releaseOnRemove") {
+					settings[key] = options[key] === true;
 
-				for (let x = 0; x < length; x += 1) {
-					fragment.appendChild(children[0]);
+					if (settings[key]) {
+						observeLifecycle(getDocument());
+					}
+
+				} else {
+					settings[key] = options[key];
 				}
 			}
+		}
 
-			return fragment;
-		},
+		return Object.assign({}, settings, {
+			gestures: Object.assign({}, settings.gestures),
+			sanitizer: Object.assign({}, settings.sanitizer)
+		});
+	};
 
-		/**
-		 * Get all children of first element
-		 * @param {string} name
-		 * @returns {String|Null}
-		 */
-		getDataset: function(name) {
-			return (this[0]) ? this[0].dataset[name] : null;
-		},
+	/**
+	 * Event bus subscriptions in subscribe order
+	 * @type {Array<{pattern: string, matcher: RegExp, callback: function(*, Object), once: boolean}>}
+	 */
+	const busSubscriptions = [];
 
-		/**
-		 * Get element by id
-		 * @param {string} id
-		 * @returns {DDom}
-		 */
-		getId: function (id) {
-			return new DDom(document.getElementById(id));
-		},
+	/**
+	 * Last published data of sticky bus topics
+	 * @type {Map<string, *>}
+	 */
+	const busSticky = new Map();
 
-		/**
-		 * Get innerHTML data from first element and if not defined then empty string
-		 * @return {string}
-		 */
-		getInnerHTML: function() {
-			return (this.length !== 0) ? this[0].innerHTML : "";
-		},
+	/**
+	 * Bridges that are forwarding right now - event going back to same type and target it came from is not bridged
+	 * so DOM events and bus messages don't loop but other bridges still work
+	 * @type {Array<{direction: string, type: string, targets: Array<EventTarget>}>}
+	 */
+	const busBridges = [];
 
-		/**
-		 * Get elements by class name
-		 * @param {string} cName
-		 * @param {HTMLElement|Document} [secondElement]
-		 * @returns {DDom}
-		 */
-		getClass: function(cName, secondElement) {
-			const element = this[0] || secondElement;
+	/**
+	 * Run bridge forwarding unless bridge of other direction is forwarding same event type on same target
+	 * @private
+	 * @param {string} direction fromDom|toDom
+	 * @param {string} type event type without namespaces
+	 * @param {Array<EventTarget>} targets
+	 * @param {function()} forward
+	 */
+	function runBusBridge(direction, type, targets, forward) {
+		const loops = busBridges.some((bridge) => bridge.direction !== direction && bridge.type === type &&
+				bridge.targets.some((target) => targets.indexOf(target) !== -1));
+
+		if (loops) {
+			return;
+		}
+
+		busBridges.push({direction: direction, type: type, targets: targets});
+
+		try {
+			forward();
+		} finally {
+			busBridges.pop();
+		}
+	}
+
+	/**
+	 * Create matcher for bus topic pattern - "*" matches one topic segment and "**" one or more
+	 * @private
+	 * @param {string} pattern
+	 * @returns {RegExp}
+	 */
+	function createTopicMatcher(pattern) {
+		const source = pattern.split(".").map((part) => {
+			if (part === "**") {
+				return ".+";
+			}
 
-			if (element !== undefined) {
-				return new DDom(element.getElementsByClassName(cName));
+			if (part === "*") {
+				return "[^.]+";
 			}
 
-			return new DDom();
-		},
+			return part.replace(/[\\^$+?()[\]{}|*]/g, "\\$&");
+		});
 
-		/**
-		 * Get elements by tag name
-		 * @param {string} tagName
-		 * @param {HTMLElement|Document} [secondElement]
-		 * @returns {DDom}
-		 */
-		getTag: function(tagName, secondElement) {
-			const element = this[0] || secondElement;
+		return new RegExp(`^${source.join("\\.")}$`);
+	}
 
-			if (element !== undefined) {
-				return new DDom(element.getElementsByTagName(tagName));
-			}
+	/**
+	 * Deliver bus message to subscriber
+	 * @private
+	 * @param {{pattern: string, callback: function(*, Object), once: boolean}} subscription
+	 * @param {{topic: string, data: *, sticky: boolean}} message
+	 * @returns {Error|null} error thrown by subscriber
+	 */
+	function notifySubscriber(subscription, message) {
+		if (subscription.once) {
+			busSubscriptions.splice(busSubscriptions.indexOf(subscription), 1);
+		}
 
-			return new DDom();
-		},
+		try {
+			subscription.callback.call(null, message.data, message);
 
-		/**
-		 * Get elements value attribute
-		 * @returns {string}
-		 */
-		getVal: function() {
-			return (this[0] !== undefined) ? this[0].value : "";
-		},
+		} catch(/*DOMException*/e) {
+			reportHandlerError(`bus [${message.topic}]`, e, message, null, subscription.pattern);
+			return e;
+		}
 
-		/**
-		 * Get outer HTML
-		 * @returns {string}
-		 */
-		getOuterHtml: function() {
-			return (this[0] !== undefined) ? this[0].outerHTML : "";
-		},
+		return null;
+	}
 
+	/**
+	 * Application wide publish/subscribe event bus
+	 * Topics are dot separated eg. "cart.add" and subscriptions can use wildcards "cart.*" and "cart.**"
+	 * Subscriber errors are handled like event handler errors with $DDom.config policy
+	 * @type {Object}
+	 */
+	$DDom.bus = {
 		/**
-		 * Get element position to relative parent or with parameter to viewPort
-		 * @param {boolean} [viewPort=false]
-		 * @returns {{top: number, left: number}}
+		 * Subscribe to topic pattern
+		 * Subscriber receives data and message {topic, data, sticky} and last data of matching sticky topics is
+		 * replayed immediately
+		 * @param {string} pattern
+		 * @param {function(*, {topic: string, data: *, sticky: boolean})} callback
+		 * @param {{once: (boolean|undefined)}} [options]
+		 * @returns {function()} unsubscribe function
 		 */
-		getPosition: function(viewPort) {
-			let element = this[0];
+		subscribe: function(pattern, callback, options) {
+			if (typeof callback !== "function") {
+				log("error", `bus.subscribe - No valid callback [Topic: ${pattern}]`);
+				return function() {};
+			}
 
-			if (viewPort) {
-				let top = 0, left = 0;
+			const subscription = {
+				pattern: pattern,
+				matcher: createTopicMatcher(pattern),
+				callback: callback,
+				once: !!(options && options.once === true)
+			};
 
-				while (element) {
-				   if (element.tagName) {
-					   top = top + element.offsetTop - element.scrollTop;
-					   left = left + element.offsetLeft;
-					   element = element.offsetParent;
-				   } else {
-					   element = element.parentNode;
-				   }
-				}
+			busSubscriptions.push(subscription);
 
-				return {"top": top, "left": left};
+			for (const [topic, data] of busSticky) {
+				if (subscription.matcher.test(topic)) {
+					const error = notifySubscriber(subscription, {topic: topic, data: data, sticky: true});
+
+					if (error !== null && settings.rethrow) {
+						throw error;
+					}
+
+					if (subscription.once) {
+						break;
+					}
+				}
 			}
 
-			return {"top": element.offsetTop, "left": element.offsetLeft};
-		},
+			return function() {
+				const index = busSubscriptions.indexOf(subscription);
 
-		/**
-		 * Has attribute
-		 * @param attribute
-		 * @returns {boolean}
-		 */
-		hasAttr: function(attribute) {
-			return !!(this[0] && this[0].nodeType === 1 && this[0].hasAttribute(attribute));
+				if (index !== -1) {
+					busSubscriptions.splice(index, 1);
+				}
+			};
 		},
 
 		/**
-		 * Check if element has children
-		 * @returns {boolean}
+		 * Subscribe to first message of topic pattern
+		 * @param {string} pattern
+		 * @param {function(*, {topic: string, data: *, sticky: boolean})} callback
+		 * @returns {function()} unsubscribe function
 		 */
-		hasChildren: function() {
-			return !!(this[0] && this[0].nodeType === 1 && this[0].childElementCount > 0);
+		once: function(pattern, callback) {
+			return this.subscribe(pattern, callback, {once: true});
 		},
 
 		/**
-		 * Check if any of the elements has given class name
-		 * @param className
-		 * @returns {boolean}
+		 * Remove subscriptions of pattern - without callback all subscriptions of pattern are removed
+		 * @param {string} pattern
+		 * @param {function} [callback]
+		 * @returns {number} removed subscription count
 		 */
-		hasClass: function(className) {
-			const element = this[0];
+		unsubscribe: function(pattern, callback) {
+			let removed = 0;
 
-			if (element && element.nodeType === 1) {
-				if (element.classList) {
-					return element.classList.contains(className);
+			for (const subscription of busSubscriptions.slice(0)) {
+				if (subscription.pattern === pattern && (callback === undefined || subscription.callback === callback)) {
+					busSubscriptions.splice(busSubscriptions.indexOf(subscription), 1);
+					removed++;
 				}
-
-				return ((" " + this[0].className + " ").replace(/[\n\t\r]/g, " ").indexOf(" " + className + " ") > -1);
 			}
 
-			return false;
-		},
-
-		/**
-		 * Does this object has any elements
-		 * @returns {boolean}
-		 */
-		hasElements: function() {
-			return (this.length > 0);
+			return removed;
 		},
 
 		/**
-		 * How many elements this object has
-		 * @returns {number}
+		 * Publish data to all subscribers that match topic
+		 * Sticky data is stored and replayed to subscribers that subscribe later
+		 * @param {string} topic
+		 * @param {*} [data]
+		 * @param {{sticky: (boolean|undefined)}} [options]
+		 * @returns {number} notified subscriber count
 		 */
-		countElements: function() {
-			return this.length;
-		},
+		publish: function(topic, data, options) {
+			const message = {topic: topic, data: data, sticky: !!(options && options.sticky === true)};
+			let notified = 0;
+			let firstError = null;
 
-		/**
-		 * Get element offsetWidth
-		 * @param {boolean} [margin=false]
-		 * @returns {number}
-		 */
-		getWidth: function(margin) {
-			if (this.length === 0) {
-				return 0;
+			if (message.sticky) {
+				busSticky.set(topic, data);
 			}
 
-			let calc = this[0].offsetWidth || this[0].outerWidth || 0;
+			// Copy so subscribers can subscribe and unsubscribe while message is delivered
+			for (const subscription of busSubscriptions.slice(0)) {
+				if (busSubscriptions.indexOf(subscription) !== -1 && subscription.matcher.test(topic)) {
+					const error = notifySubscriber(subscription, message);
 
-			if (margin === true) {
-				const style = window.getComputedStyle(this[0], null);
-				calc += parseInt(style.marginLeft, 10) +
-						parseInt(style.marginRight, 10);
+					firstError = firstError || error;
+					notified++;
+				}
 			}
 
-			return calc;
+			// Rethrow only after every subscriber has been notified
+			if (firstError !== null && settings.rethrow) {
+				throw firstError;
+			}
+
+			return notified;
 		},
 
 		/**
-		 * Set DataSet for element
-		 * @param {string} name
-		 * @param {string} data
-		 * @returns {DDom}
+		 * Forget stored sticky data - without topic all sticky data is cleared
+		 * @param {string} [topic]
 		 */
-		setDataset: function(name, data) {
-			for (const element of this) {
-				if (element.nodeType === 1) {
-					element.dataset[name] = data;
-				}
-			}
+		clearSticky: function(topic) {
+			if (topic === undefined) {
+				busSticky.clear();
 
-			return this;
+			} else {
+				busSticky.delete(topic);
+			}
 		},
 
 		/**
-		 * Set element css width
-		 * @param {string} width
-		 * @return {DDom}
+		 * Publish DOM events of given type as bus messages with event detail as data
+		 * @param {string} eventType
+		 * @param {string} [topic=eventType] topic to publish, defaults to event name without namespaces
+		 * @param {HTMLElement|Document|Window|DDom} [target=document]
+		 * @returns {function()} function that removes the bridge
 		 */
-		setWidth: function(width) {
-			for (const element of this) {
-				element.style.width = width;
-			}
-
-			return this;
+		fromDom: function(eventType, topic, target) {
+			const element = new DDom(target || getDocument());
+			const busTopic = topic || parseEventType(eventType).event;
+			const bridge = function(event) {
+				runBusBridge("fromDom", event.type, [event.currentTarget], () => {
+					$DDom.bus.publish(busTopic, event.detail);
+				});
+			};
+
+			element.eventBind(eventType, bridge);
+
+			return function() {
+				element.off(eventType, bridge);
+			};
 		},
 
 		/**
-		 * Get element offsetHeight
-		 * @param {boolean} [margin=false]
-		 * @returns {number}
+		 * Trigger bus messages as DOM CustomEvents with data as event detail
+		 * Default event name is topic with dots changed to colons eg. "cart:add" because dots mark event namespaces
+		 * @param {string} pattern
+		 * @param {string} [eventType] event name to trigger
+		 * @param {HTMLElement|Document|Window|DDom} [target=document]
+		 * @returns {function()} function that removes the bridge
 		 */
-		getHeight: function(margin) {
-			if (this.length === 0) {
-				return 0;
-			}
+		toDom: function(pattern, eventType, target) {
+			return this.subscribe(pattern, function(data, message) {
+				const type = eventType || message.topic.replace(/\./g, ":");
+				const elements = new DDom(target || getDocument());
+
+				runBusBridge("toDom", parseEventType(type).event, Array.from(elements), () => {
+					elements.trigger(type, data);
+				});
+			});
+		}
+	};
 
-			let calc = this[0].offsetHeight || this[0].outerHeight || 0;
+	/**
+	 * Application wide keyboard shortcut registry
+	 * Global hotkeys are bind to document and scoped hotkeys to scope container with DDom.hotkey
+	 * @type {Object}
+	 */
+	$DDom.hotkeys = {
+		/**
+		 * Add hotkey that is active in whole document or only while focus is inside scope container
+		 * @param {string} keys
+		 * @param {function(KeyboardEvent, {combo: string, target: DDom})} callback
+		 * @param {{
+		 *		scope: (string|HTMLElement|DDom|undefined),
+		 *		inInputs: (boolean|undefined),
+		 *		preventDefault: (boolean|undefined),
+		 *		sequenceTimeout: (number|undefined)
+		 * }} [options]
+		 * @returns {function()} function that removes the hotkey
+		 */
+		add: function(keys, callback, options) {
+			const scope = (options && options.scope !== undefined) ? options.scope : getDocument();
+			const element = (typeof scope === "string") ? DDom.prototype.qsAll(scope, getDocument()) : new DDom(scope);
 
-			if (margin !== true) {
-				return calc;
-			}
+			element.hotkey(keys, callback, options);
 
-			const style = window.getComputedStyle(this[0], null);
-			return calc + parseInt(style.marginTop, 10) + parseInt(style.marginBottom, 10);
+			return function() {
+				element.unhotkey(keys, callback);
+			};
 		},
 
 		/**
-		 * Get element offsetHeight
-		 * @param {string} height
-		 * @return {DDom}
+		 * Remove hotkeys from document and all scopes - without callback all callbacks of keys are removed
+		 * @param {string} keys
+		 * @param {Function} [callback]
 		 */
-		setHeight: function(height) {
-			for (const element of this) {
-				element.style.height = height;
+		remove: function(keys, callback) {
+			for (const binding of hotkeyBindings) {
+				if (binding.keys === keys && (callback === undefined || binding.callback === callback)) {
+					new DDom(binding.element).unhotkey(keys, binding.callback);
+				}
 			}
+		},
 
-			return this;
+		/**
+		 * List registered hotkeys
+		 * @returns {Array<{element: (HTMLElement|Document|Window), keys: string, callback: function}>}
+		 */
+		list: function() {
+			return Array.from(hotkeyBindings, (binding) =>
+					({element: binding.element, keys: binding.keys, callback: binding.callback}));
 		}
 	};
 
-	DDom.prototype[Symbol.iterator] = function () {
-		let index = -1;
-
-		return {
-			next: () => ({ value: this[++index], done: !(index in this) })
-		};
-	};
-
 	/**
-	 * @global $DDomFragment
-	 * @type {DDom}
+	 * Registered plugins and names of the prototype methods and static helpers they own
+	 * @type {Map<string, {methods: Array<string>, statics: Array<string>}>}
 	 */
-	window.$DDomFragment = function() {
-		return new DDom(document.createDocumentFragment());
-	};
+	const plugins = new Map();
 
 	/**
-	 * Get new DDom instance
-	 * @global
-	 * @param {string|HTMLElement|Node|NodeList|HTMLCollection|DDom|DocumentFragment} [selector]
-	 * @param {Object} [options]
-	 * @returns {DDom}
+	 * Find plugin that owns given prototype method or static helper
+	 * @private
+	 * @param {string} key
+	 * @param {string} type methods|statics
+	 * @returns {string|null}
 	 */
-	let $DDom = function(selector, options) {
-		return new DDom(selector, options);
-	};
+	function getPluginOwner(key, type) {
+		for (const [name, plugin] of plugins) {
+			if (plugin[type].indexOf(key) !== -1) {
+				return name;
+			}
+		}
 
-	/**
-	 * @function
-	 * @returns {DDom}
-	 */
-	$DDom.qs = function(search) {
-		return DDom.prototype.qs(search, document);
-	};
+		return null;
+	}
 
 	/**
-	 * @function
-	 * @returns {DDom}
+	 * Collect names that given plugin would overwrite
+	 * Built-ins can never be overwritten, other plugins only when override is set
+	 * @private
+	 * @param {Object} target
+	 * @param {Array<string>} keys
+	 * @param {string} type methods|statics
+	 * @param {boolean} override
+	 * @returns {Array<string>}
 	 */
-	$DDom.qsAll = function(search) {
-		return DDom.prototype.qsAll(search, document);
-	};
+	function getPluginCollisions(target, keys, type, override) {
+		const collisions = [];
+
+		for (const key of keys) {
+			if (key in target) {
+				const owner = getPluginOwner(key, type);
+
+				if (owner === null) {
+					collisions.push(`built-in ${key}`);
+
+				} else if (!override) {
+					collisions.push(`${key} of plugin ${owner}`);
+				}
+			}
+		}
+
+		return collisions;
+	}
 
 	/**
-	 * @function
-	 * @returns {DDom}
+	 * Move ownership of overridden names from other plugins to new plugin
+	 * @private
+	 * @param {Array<string>} keys
+	 * @param {string} type methods|statics
 	 */
-	$DDom.getId = function(search) {
-		return DDom.prototype.getId(search);
-	};
+	function releasePluginKeys(keys, type) {
+		for (const key of keys) {
+			const owner = getPluginOwner(key, type);
+
+			if (owner !== null) {
+				const owned = plugins.get(owner)[type];
+				owned.splice(owned.indexOf(key), 1);
+			}
+		}
+	}
 
 	/**
-	 * @function
-	 * @returns {DDom}
+	 * DDom prototype for direct access to plugin and built-in methods
+	 * @type {Object}
 	 */
-	$DDom.getTag = function(search) {
-		return DDom.prototype.getTag(search, document);
-	};
+	$DDom.fn = DDom.prototype;
 
 	/**
+	 * Register plugin that adds methods to DDom collections and static helpers to $DDom
+	 * With namespace option methods are only reachable through plugin name eg. $DDom(el).charts.draw()
+	 * Plugin is not registered at all if any of the names collide with built-ins or other plugins
 	 * @function
-	 * @returns {DDom}
+	 * @param {string} name
+	 * @param {{
+	 *		methods: (Object<string, Function>|undefined),
+	 *		statics: (Object<string, Function>|undefined),
+	 *		namespace: (boolean|undefined),
+	 *		override: (boolean|undefined)
+	 * }} definition
+	 * @returns {boolean} true when plugin was registered
 	 */
-	$DDom.getClass = function(search) {
-		return DDom.prototype.getClass(search, document);
+	$DDom.extend = function(name, definition) {
+		if (typeof name !== "string" || name === "" || plugins.has(name)) {
+			DDom.prototype.consoleError(`$DDom.extend - Invalid or already registered plugin name [Plugin: ${name}]`);
+			return false;
+		}
+
+		definition = definition || Object.create(null);
+
+		const methods = definition.methods || Object.create(null);
+		const statics = definition.statics || Object.create(null);
+		const override = definition.override === true;
+		const methodKeys = (definition.namespace === true) ? [name] : Object.keys(methods);
+		const staticKeys = Object.keys(statics);
+
+		for (const [key, value] of Object.entries(methods).concat(Object.entries(statics))) {
+			if (typeof value !== "function") {
+				DDom.prototype.consoleError(`$DDom.extend - Not a function [Plugin: ${name}] [Key: ${key}]`);
+				return false;
+			}
+		}
+
+		const collisions = getPluginCollisions(DDom.prototype, methodKeys, "methods", override)
+				.concat(getPluginCollisions($DDom, staticKeys, "statics", override));
+
+		if (collisions.length > 0) {
+			DDom.prototype.consoleError(`$DDom.extend - Plugin collides [Plugin: ${name}] [${collisions.join(", ")}]`);
+			return false;
+		}
+
+		releasePluginKeys(methodKeys, "methods");
+		releasePluginKeys(staticKeys, "statics");
+
+		if (definition.namespace === true) {
+			// Namespace getter binds plugin methods to the collection it was read from
+			Object.defineProperty(DDom.prototype, name, {
+				configurable: true,
+				get: function() {
+					const api = Object.create(null);
+
+					for (const key of Object.keys(methods)) {
+						api[key] = (...args) => methods[key].apply(this, args);
+					}
+
+					return api;
+				}
+			});
+
+		} else {
+			for (const key of methodKeys) {
+				DDom.prototype[key] = methods[key];
+			}
+		}
+
+		for (const key of staticKeys) {
+			$DDom[key] = statics[key];
+		}
+
+		plugins.set(name, {methods: methodKeys, statics: staticKeys});
+
+		return true;
 	};
 
 	/**
+	 * Check if plugin with given name has been registered
 	 * @function
+	 * @param {string} name
 	 * @returns {boolean}
 	 */
-	$DDom.instanceOf = function(item) {
-		return item instanceof DDom;
+	$DDom.hasPlugin = function(name) {
+		return plugins.has(name);
 	};
 
 	/**
-	 * Set $DDom function to window
-	 * @global
+	 * Module exports - UMD wrapper sets these to window when loaded without module system
 	 */
-	window.$DDom = $DDom;
-
-}(window));
+	return {
+		$DDom: $DDom,
+		$DDomFragment: $DDomFragment,
+		DDom: DDom
+	};
+}));
 
@@ -0,0 +1,18 @@
+/*!
+ * DDom.js - Documented document object model
+ * https://github.com/misamu/ddom.js
+ *
+ * Licence: MIT
+ */
+
+/**
+ * ES module entry point
+ * Re-exports the UMD build so there is only one copy of the library
+ */
+import ddom from './ddom.js';
+
+export const $DDom = ddom.$DDom;
+export const $DDomFragment = ddom.$DDomFragment;
+export const DDom = ddom.DDom;
+
+export default $DDom;